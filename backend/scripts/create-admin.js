@@ -0,0 +1,38 @@
+// Promotes an existing account to admin. Use it to bootstrap the first admin;
+// after that, admins manage roles through PUT /api/admin/users/:userId/role.
+//
+//   npm run create-admin -- <email or username>
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+
+const run = async () => {
+  const identifier = String(process.argv[2] || "").trim();
+  if (!identifier) {
+    console.error("Usage: npm run create-admin -- <email or username>");
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/mesh");
+
+  const user = await User.findOneAndUpdate(
+    { $or: [{ email: identifier.toLowerCase() }, { username: identifier }] },
+    { role: "admin" },
+    { new: true }
+  );
+  if (!user) {
+    console.error(`❌ No user found for "${identifier}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`✅ ${user.username} (${user.email}) is now an admin`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Failed to create admin:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,81 @@
+// Moves the legacy `followers`/`following` arrays on users into the Follow
+// collection, drops the arrays and recomputes the follow counters. Safe to
+// run more than once.
+//
+//   npm run migrate:follow-graph
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+const Follow = require("../src/models/Follow");
+const { recountFollows } = require("../src/utils/followGraph");
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/mesh");
+  await Follow.syncIndexes();
+
+  // Legacy fields are no longer in the schema, so read the raw documents.
+  // An edge counts if either side recorded it.
+  const cursor = User.collection.find(
+    { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+    { projection: { followers: 1, following: 1 } }
+  );
+  let ops = [];
+  let edges = 0;
+  let migrated = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await Follow.bulkWrite(ops, { ordered: false });
+    edges += result.upsertedCount;
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    const pairs = [
+      ...(doc.following || []).map((id) => [doc._id, id]),
+      ...(doc.followers || []).map((id) => [id, doc._id]),
+    ];
+    for (const [follower, following] of pairs) {
+      if (String(follower) === String(following)) continue;
+      ops.push({
+        updateOne: {
+          filter: { follower, following },
+          update: { $setOnInsert: { follower, following } },
+          upsert: true,
+        },
+      });
+      if (ops.length >= BATCH_SIZE) await flush();
+    }
+    migrated += 1;
+  }
+  await flush();
+
+  // Edges pointing at accounts that no longer exist
+  const userIds = await User.distinct("_id");
+  const orphans = await Follow.deleteMany({
+    $or: [{ follower: { $nin: userIds } }, { following: { $nin: userIds } }],
+  });
+
+  await User.collection.updateMany(
+    { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+    { $unset: { followers: "", following: "" } }
+  );
+
+  for (const userId of userIds) {
+    await recountFollows(userId);
+  }
+
+  console.log(
+    `✅ Migrated follow graph: ${migrated} user(s), ${edges} new edge(s), ` +
+      `${orphans.deletedCount} orphaned edge(s) removed`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Follow graph migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
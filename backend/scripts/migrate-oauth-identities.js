@@ -0,0 +1,45 @@
+// Moves the legacy single `provider`/`providerId` pair on users into the
+// `identities` array. Safe to run more than once.
+//
+//   npm run migrate:oauth-identities
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/mesh");
+
+  // Legacy fields are no longer in the schema, so read the raw documents
+  const cursor = User.collection.find({ provider: { $exists: true, $ne: null } });
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    const alreadyLinked = (doc.identities || []).some(
+      (identity) => identity.provider === doc.provider
+    );
+    const update = { $unset: { provider: "", providerId: "" } };
+    if (!alreadyLinked && doc.providerId) {
+      update.$push = {
+        identities: {
+          _id: new mongoose.Types.ObjectId(),
+          provider: doc.provider,
+          providerId: String(doc.providerId),
+          email: doc.email || "",
+          linkedAt: doc.createdAt || new Date(),
+        },
+      };
+    }
+    await User.collection.updateOne({ _id: doc._id }, update);
+    migrated += 1;
+  }
+
+  await User.syncIndexes();
+  console.log(`✅ Migrated OAuth identities for ${migrated} user(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ OAuth identity migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+// Copies the verified badge of accounts created before email verification,
+// when `isVerified` was the badge, into `verifiedBadge`. Every account without
+// a `verifiedBadge` gets one, so running it again never turns a confirmed
+// email into a badge.
+//
+//   npm run migrate:verified-badge
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/mesh");
+
+  // Raw updates: the schema default would otherwise fill in `verifiedBadge`
+  const granted = await User.collection.updateMany(
+    { verifiedBadge: { $exists: false }, isVerified: true },
+    { $set: { verifiedBadge: true } }
+  );
+  const rest = await User.collection.updateMany(
+    { verifiedBadge: { $exists: false } },
+    { $set: { verifiedBadge: false } }
+  );
+
+  console.log(
+    `✅ Migrated verified badges: ${granted.modifiedCount} badge(s) kept, ${rest.modifiedCount} user(s) without one`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Verified badge migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,42 @@
+// Fills the per-user feed timelines from the Follow collection: every user
+// gets their own recent posts and those of the accounts they follow, and
+// entries written before timelines expired get an expiry. Safe to run more
+// than once; existing entries are kept.
+//
+//   npm run rebuild:timelines
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+const Follow = require("../src/models/Follow");
+const Timeline = require("../src/models/Timeline");
+const { TIMELINE_RETENTION_MS, backfillTimeline } = require("../src/jobs/timeline");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/mesh");
+  await Timeline.syncIndexes();
+  const dated = await Timeline.updateMany({ expiresAt: null }, [
+    { $set: { expiresAt: { $add: ["$createdAt", TIMELINE_RETENTION_MS] } } },
+  ]);
+
+  let users = 0;
+  let follows = 0;
+  for await (const user of User.find().select("_id").cursor()) {
+    await backfillTimeline(user._id, user._id);
+    users += 1;
+  }
+  for await (const follow of Follow.find().select("follower following").cursor()) {
+    await backfillTimeline(follow.follower, follow.following);
+    follows += 1;
+  }
+
+  console.log(
+    `✅ Rebuilt timelines: ${users} user(s), ${follows} follow(s), ${dated.modifiedCount} older entries dated`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Timeline rebuild failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -14,6 +14,10 @@ const postRoutes = require("./src/routes/post");
 const userRoutes = require("./src/routes/userRoutes");
 const messageRoutes = require("./src/routes/messageRoutes");
 const pushRoutes = require("./src/routes/push");
+const adminRoutes = require("./src/routes/adminRoutes");
+const { startAccountDeletionJob } = require("./src/jobs/accountDeletion");
+const { startDataExportJob } = require("./src/jobs/dataExport");
+const { startTimelineJob } = require("./src/jobs/timeline");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -72,6 +76,9 @@ mongoose
   .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/mesh")
   .then(() => {
     console.log("✅ Connected to MongoDB");
+    startAccountDeletionJob();
+    startDataExportJob(io);
+    startTimelineJob();
   })
   .catch((error) => {
     console.error("❌ MongoDB connection error:", error.message);
@@ -103,6 +110,7 @@ app.use("/api/posts", postRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/push", pushRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Socket.IO connection and join logic
 io.on("connection", (socket) => {
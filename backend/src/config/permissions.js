@@ -0,0 +1,16 @@
+// Role -> permission matrix. Check permissions, not roles, so a role can be
+// widened or narrowed here without touching the routes.
+const ROLES = ["user", "moderator", "admin"];
+
+const PERMISSIONS = {
+  "users:verify": ["moderator", "admin"],
+  "users:manage_roles": ["admin"],
+  "posts:delete_any": ["moderator", "admin"],
+  "comments:delete_any": ["moderator", "admin"],
+  "stories:delete_any": ["moderator", "admin"],
+};
+
+const hasPermission = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(role || "user");
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
@@ -0,0 +1,11 @@
+// Scopes that can be granted to a personal access token. Routes opt in to
+// token access with `scopedAuth(scope)`; everything else requires a session.
+const TOKEN_SCOPES = {
+  "posts:read": "Read posts and the stories feed",
+  "posts:write": "Create, like, comment on and delete your posts",
+  "messages:read": "Read your direct messages",
+  "messages:write": "Send, edit and react to direct messages",
+  "notifications:read": "Read your notifications",
+};
+
+module.exports = { TOKEN_SCOPES };
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const { TOKEN_SCOPES } = require("../config/tokenScopes");
+const { hashToken, generatePersonalAccessToken } = require("../utils/authTokens");
+
+const MAX_TOKENS_PER_USER = 20;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+const toTokenPayload = (t) => ({
+  _id: t._id,
+  name: t.name,
+  prefix: t.prefix,
+  scopes: t.scopes,
+  createdAt: t.createdAt,
+  expiresAt: t.expiresAt,
+  lastUsedAt: t.lastUsedAt,
+  lastUsedIp: t.lastUsedIp || "",
+});
+
+// @desc    List the current user's active personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    return res.json({
+      tokens: tokens.map(toTokenPayload),
+      availableScopes: TOKEN_SCOPES,
+    });
+  } catch (error) {
+    console.error("Get access tokens error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Create a named, scoped personal access token (shown only once)
+// @route   POST /api/auth/tokens
+// @access  Private
+const createAccessToken = async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    const scopes = Array.isArray(req.body?.scopes) ? [...new Set(req.body.scopes)] : [];
+    const expiresInDays =
+      req.body?.expiresInDays === undefined
+        ? DEFAULT_EXPIRY_DAYS
+        : Number(req.body.expiresInDays);
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: "Name is required (max 100 characters)" });
+    }
+    if (!scopes.length) {
+      return res.status(400).json({ error: "At least one scope is required" });
+    }
+    const unknown = scopes.filter((scope) => !TOKEN_SCOPES[scope]);
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown scope(s): ${unknown.join(", ")}` });
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res
+        .status(400)
+        .json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res
+        .status(400)
+        .json({ error: `You can have at most ${MAX_TOKENS_PER_USER} active tokens` });
+    }
+
+    const token = generatePersonalAccessToken();
+    const doc = await PersonalAccessToken.create({
+      user: req.user._id,
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, 16),
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    return res.status(201).json({
+      message: "Token created. Copy it now, it won't be shown again.",
+      token,
+      accessToken: toTokenPayload(doc),
+    });
+  } catch (error) {
+    console.error("Create access token error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:tokenId
+// @access  Private
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    if (!mongoose.isValidObjectId(tokenId)) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    const result = await PersonalAccessToken.updateOne(
+      { _id: tokenId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    return res.json({ message: "Token revoked" });
+  } catch (error) {
+    console.error("Revoke access token error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+};
@@ -0,0 +1,120 @@
+const User = require("../models/User");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const { revokeAllSessions } = require("../utils/authTokens");
+const { sendMail } = require("../utils/mailer");
+const { setFollowCountsActive } = require("../utils/followGraph");
+
+const DEFAULT_GRACE_DAYS = 14;
+
+const getGraceDays = () => {
+  const days = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+const sendDeletionScheduledEmail = async (user) => {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const when = user.deletionScheduledAt.toUTCString();
+    const subject = "Your Mesh account is scheduled for deletion";
+    const text = [
+      `Hello ${user.fullName || user.username},`,
+      "",
+      `Your Mesh account and everything in it will be permanently deleted on ${when}.`,
+      "",
+      `Changed your mind? Just sign in before then to cancel: ${frontendUrl}/login`,
+    ].join("\n");
+
+    const html = `
+      <p>Hello ${user.fullName || user.username},</p>
+      <p>Your Mesh account and everything in it will be permanently deleted on ${when}.</p>
+      <p>Changed your mind? Just <a href="${frontendUrl}/login">sign in</a> before then to cancel.</p>
+    `;
+
+    await sendMail({ to: user.email, subject, text, html });
+  } catch (err) {
+    console.error("[account] failed to send deletion email:", err?.message || err);
+  }
+};
+
+// Password accounts confirm with the password, passwordless ones by typing
+// their username. Returns an error message, or null when confirmed.
+const confirmAccountOwner = async (user, { password, confirmUsername } = {}) => {
+  if (user.password) {
+    return (await user.comparePassword(String(password || "")))
+      ? null
+      : "Incorrect password";
+  }
+  return String(confirmUsername || "") === user.username
+    ? null
+    : "Type your username to confirm";
+};
+
+// @desc    Schedule the account for deletion after a grace period and sign out
+//          everywhere. Requires the password, or the username for accounts
+//          without one. Signing in again before the deadline cancels it.
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+password +deletionRequestedAt +deletionScheduledAt"
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const confirmError = await confirmAccountOwner(user, req.body);
+    if (confirmError) return res.status(401).json({ error: confirmError });
+
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledAt = new Date(
+      now.getTime() + getGraceDays() * 24 * 60 * 60 * 1000
+    );
+    user.isOnline = false;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    await PersonalAccessToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: now }
+    );
+    sendDeletionScheduledEmail(user);
+
+    return res.json({
+      message: "Account scheduled for deletion. Sign in before the deadline to cancel.",
+      deletionScheduledAt: user.deletionScheduledAt,
+    });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    return res.status(500).json({ error: "Server error while deleting account" });
+  }
+};
+
+// @desc    Deactivate the account: hide the profile, posts and stories and stop
+//          new DMs until the owner signs in again. Nothing is deleted.
+// @route   POST /api/auth/deactivate
+// @access  Private
+const deactivateAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password +deactivatedAt");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const confirmError = await confirmAccountOwner(user, req.body);
+    if (confirmError) return res.status(401).json({ error: confirmError });
+
+    const wasActive = !user.deactivatedAt;
+    user.deactivatedAt = new Date();
+    user.isOnline = false;
+    await user.save();
+    if (wasActive) await setFollowCountsActive(user._id, false);
+    await revokeAllSessions(user._id);
+
+    return res.json({
+      message: "Account deactivated. Sign in again at any time to reactivate it.",
+    });
+  } catch (error) {
+    console.error("Deactivate account error:", error);
+    return res.status(500).json({ error: "Server error while deactivating account" });
+  }
+};
+
+module.exports = { deleteAccount, deactivateAccount };
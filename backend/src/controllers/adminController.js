@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Story = require("../models/Story");
+const { ROLES } = require("../config/permissions");
+
+const toModerationUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  fullName: user.fullName,
+  avatar: user.avatar,
+  verifiedBadge: user.verifiedBadge,
+  role: user.role,
+});
+
+// @desc    Grant or remove the verified badge
+// @route   PUT /api/admin/users/:userId/verification
+// @access  Private (users:verify)
+const setUserVerification = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { verifiedBadge } = req.body || {};
+    if (typeof verifiedBadge !== "boolean") {
+      return res.status(400).json({ error: "verifiedBadge must be true or false" });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { verifiedBadge },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    return res.json({
+      message: verifiedBadge ? "User verified" : "Verification removed",
+      user: toModerationUser(user),
+    });
+  } catch (error) {
+    console.error("Set user verification error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:userId/role
+// @access  Private (users:manage_roles)
+const setUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    // Admins can't demote themselves, so there is always at least one admin left
+    if (String(userId) === String(req.user._id)) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { role }, { new: true });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    return res.json({ message: "Role updated", user: toModerationUser(user) });
+  } catch (error) {
+    console.error("Set user role error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Remove any comment from a post
+// @route   DELETE /api/admin/posts/:postId/comments/:commentId
+// @access  Private (comments:delete_any)
+const deleteAnyComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    if (!mongoose.isValidObjectId(postId) || !mongoose.isValidObjectId(commentId)) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const result = await Post.updateOne(
+      { _id: postId, "comments._id": commentId },
+      { $pull: { comments: { _id: commentId } } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const io = req.app.get("io");
+    if (io) io.emit("commentDeleted", { postId, commentId });
+    return res.json({ message: "Comment deleted" });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    return res.status(500).json({ error: "Server error while deleting comment" });
+  }
+};
+
+// @desc    Remove any story
+// @route   DELETE /api/admin/stories/:storyId
+// @access  Private (stories:delete_any)
+const deleteAnyStory = async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    if (!mongoose.isValidObjectId(storyId)) {
+      return res.status(404).json({ error: "Story not found" });
+    }
+
+    const story = await Story.findByIdAndDelete(storyId);
+    if (!story) return res.status(404).json({ error: "Story not found" });
+
+    const io = req.app.get("io");
+    if (io) io.emit("storyDeleted", { storyId, userId: story.user });
+    return res.json({ message: "Story deleted" });
+  } catch (error) {
+    console.error("Delete story error:", error);
+    return res.status(500).json({ error: "Server error while deleting story" });
+  }
+};
+
+module.exports = {
+  setUserVerification,
+  setUserRole,
+  deleteAnyComment,
+  deleteAnyStory,
+};
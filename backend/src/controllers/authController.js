@@ -1,22 +1,100 @@
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Post = require("../models/Post");
 const Story = require("../models/Story");
-const fetch = global.fetch || require("node-fetch");
 const crypto = require("crypto");
 const { sendMail, hasMailConfig } = require("../utils/mailer");
-
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  });
-};
+const {
+  issueSession,
+  rotateSession,
+  revokeAllSessions,
+} = require("../utils/authTokens");
+const { completeLogin, rejectPurgingLogin } = require("../utils/completeLogin");
+const {
+  activeUserFilter,
+  getDeactivatedUserIds,
+} = require("../utils/accountStatus");
+const { canViewUserContent, visibleAuthorStages } = require("../utils/privacy");
+const {
+  FOLLOW_MESSAGES,
+  isFollowing,
+  getFollowingIds,
+  listConnections,
+  toggleFollow,
+  removeFollow,
+  acceptAllFollowRequests,
+} = require("../utils/followGraph");
+const FollowRequest = require("../models/FollowRequest");
+const SuggestionDismissal = require("../models/SuggestionDismissal");
+const { getRankedSuggestions } = require("../utils/suggestions");
+const { getBlockedUserIds } = require("../utils/blocks");
+const {
+  LIMITS,
+  throttleKey,
+  getRetryAfter,
+  registerFailure,
+  registerEmailSend,
+  clearFailures,
+  rejectThrottled,
+  sendLockoutEmail,
+} = require("../utils/authThrottle");
 
 const createPasswordResetToken = () => crypto.randomBytes(32).toString("hex");
 const hashPasswordResetToken = (token) =>
   crypto.createHash("sha256").update(token).digest("hex");
 
+const EMAIL_VERIFICATION_TTL_MS = 1000 * 60 * 60 * 24;
+const MAGIC_LINK_TTL_MS = 1000 * 60 * 15;
+const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// Issue a fresh verification token for `address` (the account email or a pending one)
+// and mail the link. The caller is responsible for saving the user afterwards.
+const sendVerificationEmail = async (user, address) => {
+  const rawToken = createPasswordResetToken();
+  user.emailVerificationToken = hashPasswordResetToken(rawToken);
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const verifyUrl = `${frontendUrl}/verify-email?token=${encodeURIComponent(rawToken)}`;
+
+  const subject = "Verify your Mesh email address";
+  const text = [
+    `Hello ${user.fullName || user.username},`,
+    "",
+    "Please confirm this email address for your Mesh account.",
+    `Verify it here: ${verifyUrl}`,
+    "",
+    "This link will expire in 24 hours.",
+    "If you did not request this, you can ignore this email.",
+  ].join("\n");
+
+  const html = `
+      <p>Hello ${user.fullName || user.username},</p>
+      <p>Please confirm this email address for your Mesh account.</p>
+      <p><a href="${verifyUrl}">Verify your email</a></p>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `;
+
+  await sendMail({ to: address, subject, text, html });
+
+  if (!hasMailConfig()) {
+    console.warn("[auth] Verification email skipped; use this URL:", verifyUrl);
+  }
+};
+
+// Newest matching posts or stories whose authors the viewer may see, as ids
+const findVisibleIds = async (Model, viewerId, match, limit) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...(await visibleAuthorStages(viewerId)),
+    { $limit: limit },
+    { $project: { _id: 1 } },
+  ]);
+  return rows.map((row) => row._id);
+};
+
 // @desc    List users excluding current user, with search & pagination (recently joined first)
 // @route   GET /api/auth/users
 // @access  Private
@@ -26,7 +104,11 @@ const getUsers = async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
     const query = (req.query.query || req.query.q || '').trim();
 
-    const filters = { _id: { $ne: req.user._id } };
+    const blockedIds = await getBlockedUserIds(req.user._id);
+    const filters = {
+      _id: { $nin: [req.user._id, ...blockedIds] },
+      ...activeUserFilter(),
+    };
     if (query) {
       const regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
       filters.$or = [{ username: regex }, { fullName: regex }];
@@ -39,7 +121,7 @@ const getUsers = async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
-        .select('username fullName avatar isVerified followers createdAt'),
+        .select('username fullName avatar verifiedBadge followerCount createdAt'),
     ]);
 
     const list = users.map((u) => ({
@@ -47,8 +129,8 @@ const getUsers = async (req, res) => {
       username: u.username,
       fullName: u.fullName,
       avatar: u.avatar,
-      isVerified: !!u.isVerified,
-      followerCount: Array.isArray(u.followers) ? u.followers.length : 0,
+      verifiedBadge: !!u.verifiedBadge,
+      followerCount: u.followerCount || 0,
       createdAt: u.createdAt,
     }));
 
@@ -75,35 +157,38 @@ const searchAll = async (req, res) => {
 
     const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
     const regex = new RegExp(escaped, "i");
+    const blockedIds = await getBlockedUserIds(req.user._id);
     const matchingUsers = await User.find({
-      _id: { $ne: req.user._id },
+      _id: { $nin: [req.user._id, ...blockedIds] },
+      ...activeUserFilter(),
       $or: [{ username: regex }, { fullName: regex }, { bio: regex }],
     })
       .sort({ createdAt: -1 })
       .limit(limit)
-      .select("username fullName avatar isVerified followers bio createdAt");
+      .select("username fullName avatar verifiedBadge followerCount bio createdAt");
 
     const matchingUserIds = matchingUsers.map((user) => user._id);
+    const [postIds, storyIds] = await Promise.all([
+      findVisibleIds(Post, req.user._id, {
+        $or: [{ content: regex }, { user: { $in: matchingUserIds } }],
+      }, limit),
+      findVisibleIds(Story, req.user._id, {
+        expiresAt: { $gt: new Date() },
+        $or: [{ caption: regex }, { user: { $in: matchingUserIds } }],
+      }, limit),
+    ]);
 
     const [posts, stories] = await Promise.all([
-      Post.find({
-        $or: [{ content: regex }, { user: { $in: matchingUserIds } }],
-      })
-        .sort({ createdAt: -1 })
-        .limit(limit)
+      Post.find({ _id: { $in: postIds } })
+        .sort({ createdAt: -1, _id: -1 })
         .populate({
           path: "user",
-          select: "username fullName avatar isVerified",
+          select: "username fullName avatar verifiedBadge",
           options: { strictPopulate: false },
         }),
-
-      Story.find({
-        expiresAt: { $gt: new Date() },
-        $or: [{ caption: regex }, { user: { $in: matchingUserIds } }],
-      })
-        .sort({ createdAt: -1 })
-        .limit(limit)
-        .populate("user", "username fullName avatar isVerified"),
+      Story.find({ _id: { $in: storyIds } })
+        .sort({ createdAt: -1, _id: -1 })
+        .populate("user", "username fullName avatar verifiedBadge"),
     ]);
 
     const userResults = matchingUsers.map((u) => ({
@@ -111,9 +196,9 @@ const searchAll = async (req, res) => {
       username: u.username,
       fullName: u.fullName,
       avatar: u.avatar,
-      isVerified: !!u.isVerified,
+      verifiedBadge: !!u.verifiedBadge,
       bio: u.bio || "",
-      followerCount: Array.isArray(u.followers) ? u.followers.length : 0,
+      followerCount: u.followerCount || 0,
       createdAt: u.createdAt,
     }));
 
@@ -131,7 +216,7 @@ const searchAll = async (req, res) => {
           username: post.user.username,
           fullName: post.user.fullName,
           avatar: post.user.avatar,
-          isVerified: !!post.user.isVerified,
+          verifiedBadge: !!post.user.verifiedBadge,
         },
       }));
 
@@ -149,7 +234,7 @@ const searchAll = async (req, res) => {
           username: story.user.username,
           fullName: story.user.fullName,
           avatar: story.user.avatar,
-          isVerified: !!story.user.isVerified,
+          verifiedBadge: !!story.user.verifiedBadge,
         },
       }));
 
@@ -165,36 +250,15 @@ const searchAll = async (req, res) => {
   }
 };
 
-// @desc    Get user suggestions (random), excluding current user and those already followed
+// @desc    Get ranked follow suggestions, each with the reason it was made
 // @route   GET /api/auth/suggestions
 // @access  Private
 const getUserSuggestions = async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
 
-    // Load current user to get following list
-    const me = await User.findById(req.user._id).select('following');
-    if (!me) return res.status(404).json({ error: 'User not found' });
-
-    const excludeIds = [req.user._id, ...(me.following || [])];
-
-    // Prefer $sample for randomness
-    const pipeline = [
-      { $match: { _id: { $nin: excludeIds } } },
-      { $sample: { size: limit } },
-      { $project: { username: 1, fullName: 1, avatar: 1, isVerified: 1, followers: 1 } },
-    ];
-
-    const docs = await User.aggregate(pipeline);
-
-    const suggestions = docs.map((u) => ({
-      _id: u._id,
-      username: u.username,
-      fullName: u.fullName,
-      avatar: u.avatar,
-      isVerified: !!u.isVerified,
-      followerCount: Array.isArray(u.followers) ? u.followers.length : 0,
-    }));
+    const suggestions = await getRankedSuggestions(req.user._id, { limit });
+    if (!suggestions) return res.status(404).json({ error: 'User not found' });
 
     return res.json({ suggestions, limit });
   } catch (error) {
@@ -203,40 +267,79 @@ const getUserSuggestions = async (req, res) => {
   }
 };
 
-// @desc    Get followers list by username
-// @route   GET /api/auth/profile/:username/followers
-// @access  Public
-const getFollowersList = async (req, res) => {
+// @desc    Stop suggesting a user
+// @route   POST /api/auth/suggestions/:userId/dismiss
+// @access  Private
+const dismissSuggestion = async (req, res) => {
   try {
-    const { username } = req.params;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 20;
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    const user = await User.findOne({ username })
-      .populate({ path: "followers", select: "username fullName avatar bio" })
-      .select("followers");
+    await SuggestionDismissal.updateOne(
+      { user: req.user._id, dismissed: userId },
+      { $setOnInsert: { user: req.user._id, dismissed: userId } },
+      { upsert: true }
+    );
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    return res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    console.error('Dismiss suggestion error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
 
-    const total = user.followers.length;
-    const start = (page - 1) * limit;
-    const end = start + limit;
-    const items = user.followers.slice(start, end);
+// Shared by the followers and following lists: cursor-paginated, searchable
+// with `q`, and `sort=mutuals` lists accounts the viewer follows first
+const sendConnectionsPage = async (req, res, direction) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  const search = String(req.query.query || req.query.q || "").trim();
+
+  // Blocked users (either way) see a 404 and are left out of the list
+  const blockedIds = await getBlockedUserIds(req.user?._id);
+  const user = await User.findOne({
+    username: req.params.username,
+    _id: { $nin: blockedIds },
+    ...activeUserFilter(),
+  }).select("isPrivate followerCount followingCount");
+
+  if (!user) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  if (!(await canViewUserContent(req.user?._id, user))) {
+    return res.status(403).json({ error: "This account is private", isPrivate: true });
+  }
 
-    res.json({
-      total,
-      page,
-      limit,
-      followers: items.map((u) => ({
-        _id: u._id,
-        username: u.username,
-        fullName: u.fullName,
-        avatar: u.avatar,
-        bio: u.bio || "",
-      })),
-    });
+  const page = await listConnections({
+    userId: user._id,
+    direction,
+    viewerId: req.user?._id,
+    excludeIds: blockedIds,
+    search,
+    sort: req.query.sort,
+    cursor: req.query.cursor,
+    limit,
+  });
+  if (!page) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  res.json({
+    total: direction === "followers" ? user.followerCount : user.followingCount,
+    limit,
+    nextCursor: page.nextCursor,
+    hasMore: !!page.nextCursor,
+    [direction]: page.items,
+  });
+};
+
+// @desc    Get followers list by username
+// @route   GET /api/auth/profile/:username/followers
+// @access  Public (approved followers only for private accounts)
+const getFollowersList = async (req, res) => {
+  try {
+    await sendConnectionsPage(req, res, "followers");
   } catch (error) {
     console.error("Get followers list error:", error);
     res.status(500).json({ error: "Server error" });
@@ -245,63 +348,15 @@ const getFollowersList = async (req, res) => {
 
 // @desc    Get following list by username
 // @route   GET /api/auth/profile/:username/following
-// @access  Public
+// @access  Public (approved followers only for private accounts)
 const getFollowingList = async (req, res) => {
   try {
-    const { username } = req.params;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 20;
-
-    const user = await User.findOne({ username })
-      .populate({ path: "following", select: "username fullName avatar bio" })
-      .select("following");
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    const total = user.following.length;
-    const start = (page - 1) * limit;
-    const end = start + limit;
-    const items = user.following.slice(start, end);
-
-    res.json({
-      total,
-      page,
-      limit,
-      following: items.map((u) => ({
-        _id: u._id,
-        username: u.username,
-        fullName: u.fullName,
-        avatar: u.avatar,
-        bio: u.bio || "",
-      })),
-    });
+    await sendConnectionsPage(req, res, "following");
   } catch (error) {
     console.error("Get following list error:", error);
     res.status(500).json({ error: "Server error" });
   }
 };
-// Helper: generate a unique username from a base (e.g., first name)
-const generateUniqueUsername = async (base) => {
-  const clean = (base || "user")
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "")
-    .slice(0, 20) || "user";
-
-  // Try the clean base, then add numbers until unique
-  let candidate = clean;
-  let suffix = 0;
-  // Limit attempts to avoid infinite loops
-  while (suffix < 1000) {
-    const exists = await User.findOne({ username: candidate }).select("_id");
-    if (!exists) return candidate;
-    suffix += 1;
-    candidate = `${clean}${suffix}`;
-  }
-  // Fallback to random
-  return `${clean}${Math.floor(Math.random() * 100000)}`;
-};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -329,15 +384,22 @@ const register = async (req, res) => {
       fullName,
     });
 
-    
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    try {
+      await sendVerificationEmail(user, user.email);
+      await user.save();
+    } catch (mailError) {
+      // Registration still succeeds; the user can request another link
+      console.error("Verification email error:", mailError);
+    }
+
+    const { token, refreshToken } = await issueSession(user._id, req);
 
     res.status(201).json({
-      message: "User registered successfully",
+      message: "User registered successfully. Please check your email to verify your account.",
       token,
+      refreshToken,
       user: user.getPublicProfile(),
     });
   } catch (error) {
@@ -354,41 +416,51 @@ const register = async (req, res) => {
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const identifier = String(email || "").trim();
+    if (!identifier || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
 
     // Find user by email or username
     const user = await User.findOne({
       $or: [
-        { email: email },
-        { username: email } // Using 'email' field for both email and username input
+        { email: identifier.toLowerCase() },
+        { username: identifier } // Using 'email' field for both email and username input
       ]
     });
-    if (!user) {
-      return res.status(401).json({
-        error: "Invalid credentials",
-      });
+
+    // Unknown identifiers are throttled exactly like real accounts so a
+    // lockout never reveals whether an account exists
+    const ipKey = throttleKey("login", "ip", req.ip);
+    const accountKey = user
+      ? throttleKey("login", "user", user._id)
+      : throttleKey("login", "id", identifier);
+    const retryAfter = await getRetryAfter([ipKey, accountKey]);
+    if (retryAfter) {
+      return rejectThrottled(res, retryAfter);
     }
 
     // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
     if (!isPasswordValid) {
+      const [, accountResult] = await Promise.all([
+        registerFailure(ipKey, LIMITS.ip),
+        registerFailure(accountKey, LIMITS.account),
+      ]);
+      if (user && accountResult.newlyLocked) {
+        sendLockoutEmail(user, accountResult.lockedUntil);
+      }
       return res.status(401).json({
         error: "Invalid credentials",
       });
     }
 
-    // Update last active
-    user.lastActive = new Date();
-    user.isOnline = true;
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
+    await clearFailures([accountKey]);
 
-    res.json({
-      message: "Login successful",
-      token,
-      user: user.getPublicProfile(),
-    });
+    // Password is correct, but 2FA accounts still get a challenge instead of tokens
+    const result = await completeLogin(user, req);
+    if (!result) return rejectPurgingLogin(res);
+    res.json(result);
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({
@@ -402,21 +474,18 @@ const login = async (req, res) => {
 // @access  Private
 const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate("followers", "username fullName avatar")
-      .select("-password");
-
-    // Add follower count to the user object and convert following to array of IDs
-    const userWithFollowers = user.getPublicProfile();
-    userWithFollowers.followerCount = user.followers.length;
-    userWithFollowers.followingCount = Array.isArray(user.following)
-      ? user.following.length
-      : 0;
-    // Convert following array to just IDs for frontend compatibility
-    userWithFollowers.following = user.following.map(id => id.toString());
+    const user = await User.findById(req.user._id).select("-password");
+    const allFollowingIds = await getFollowingIds(user._id);
+    const deactivated = new Set((await getDeactivatedUserIds(allFollowingIds)).map(String));
+    const followingIds = allFollowingIds.filter((id) => !deactivated.has(String(id)));
+
+    // Followers are paged through /profile/:username/followers; following stays
+    // as plain IDs for frontend compatibility
+    const profile = user.getPublicProfile();
+    profile.following = followingIds.map((id) => id.toString());
 
     res.json({
-      user: userWithFollowers,
+      user: profile,
     });
   } catch (error) {
     console.error("Get me error:", error);
@@ -433,6 +502,7 @@ const updateProfile = async (req, res) => {
   try {
     const {
       username,
+      email,
       fullName,
       bio,
       website,
@@ -447,15 +517,38 @@ const updateProfile = async (req, res) => {
       hometown,
       currentCity,
       phone,
+      isPrivate,
     } = req.body;
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select(
+      "+emailVerificationToken +emailVerificationExpires +pendingEmail"
+    );
     if (!user) {
       return res.status(404).json({
         error: "User not found",
       });
     }
 
+    let emailVerificationPending = false;
+    if (email !== undefined) {
+      const normalizedEmail = String(email).trim().toLowerCase();
+      if (!EMAIL_REGEX.test(normalizedEmail)) {
+        return res.status(400).json({ error: "Please enter a valid email" });
+      }
+      if (normalizedEmail !== user.email) {
+        const taken = await User.findOne({
+          _id: { $ne: user._id },
+          $or: [{ email: normalizedEmail }, { pendingEmail: normalizedEmail }],
+        }).select("_id");
+        if (taken) {
+          return res.status(400).json({ error: "Email is already in use" });
+        }
+        // Keep the current address until the new one is confirmed
+        user.pendingEmail = normalizedEmail;
+        emailVerificationPending = true;
+      }
+    }
+
     if (username !== undefined) {
       const normalized = String(username).trim().toLowerCase();
       if (!normalized) {
@@ -495,11 +588,23 @@ const updateProfile = async (req, res) => {
     if (hometown !== undefined) user.hometown = hometown;
     if (currentCity !== undefined) user.currentCity = currentCity;
     if (phone !== undefined) user.phone = phone;
+    const wentPublic = isPrivate === false && user.isPrivate;
+    if (typeof isPrivate === "boolean") user.isPrivate = isPrivate;
 
     await user.save();
+    // Only mail the new address once the change has been validated and stored
+    if (emailVerificationPending) {
+      await sendVerificationEmail(user, user.pendingEmail);
+      await user.save();
+    }
+    // Anyone still waiting for approval becomes a follower
+    if (wentPublic) await acceptAllFollowRequests(user._id);
 
     res.json({
-      message: "Profile updated successfully",
+      message: emailVerificationPending
+        ? "Profile updated. Check your new email address to confirm the change."
+        : "Profile updated successfully",
+      emailVerificationPending,
       user: user.getPublicProfile(),
     });
   } catch (error) {
@@ -544,7 +649,32 @@ const checkUsernameAvailability = async (req, res) => {
   }
 };
 
-// @desc    Logout user
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+  try {
+    const result = await rotateSession(req.body?.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    const user = await User.findById(result.session.user).select("_id");
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    return res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({ error: "Server error during token refresh" });
+  }
+};
+
+// @desc    Logout user and revoke all of their sessions
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
@@ -555,6 +685,7 @@ const logout = async (req, res) => {
       user.lastActive = new Date();
       await user.save();
     }
+    await revokeAllSessions(req.user._id);
 
     res.json({
       message: "Logged out successfully",
@@ -567,6 +698,52 @@ const logout = async (req, res) => {
   }
 };
 
+// Stores a fresh reset token on `user` and emails the link
+const sendPasswordResetEmail = async (user) => {
+  const rawToken = createPasswordResetToken();
+  const hashedToken = hashPasswordResetToken(rawToken);
+  const expiresAt = new Date(Date.now() + 1000 * 60 * 30);
+
+  user.resetPasswordToken = hashedToken;
+  user.resetPasswordExpires = expiresAt;
+  await user.save();
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(
+    rawToken
+  )}`;
+
+  const subject = "Reset your Mesh password";
+  const text = [
+    `Hello ${user.fullName || user.username},`,
+    "",
+    "We received a request to reset your Mesh password.",
+    `Reset it here: ${resetUrl}`,
+    "",
+    "This link will expire in 30 minutes.",
+    "If you did not request this, you can ignore this email.",
+  ].join("\n");
+
+  const html = `
+    <p>Hello ${user.fullName || user.username},</p>
+    <p>We received a request to reset your Mesh password.</p>
+    <p><a href="${resetUrl}">Reset your password</a></p>
+    <p>This link will expire in 30 minutes.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `;
+
+  await sendMail({
+    to: user.email,
+    subject,
+    text,
+    html,
+  });
+
+  if (!hasMailConfig()) {
+    console.warn("[auth] Password reset email skipped; use this URL:", resetUrl);
+  }
+};
+
 // @desc    Request password reset email
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -577,61 +754,27 @@ const forgotPassword = async (req, res) => {
       return res.status(400).json({ error: "Email is required" });
     }
 
+    // Counted for unknown addresses too, so the limit reveals nothing
+    const retryAfter = await registerEmailSend("forgot-send", req.ip, email);
+    if (retryAfter) {
+      return rejectThrottled(res, retryAfter);
+    }
+
     const user = await User.findOne({ email }).select(
       "+resetPasswordToken +resetPasswordExpires"
     );
 
-    const successMessage =
-      "If an account exists for that email, a reset link has been sent.";
-
-    if (!user || user.provider) {
-      return res.json({ message: successMessage });
+    // OAuth-only accounts have no password to reset. The email goes out in
+    // the background, so known and unknown addresses answer equally fast.
+    if (user && user.password) {
+      sendPasswordResetEmail(user).catch((error) =>
+        console.error("Password reset email error:", error)
+      );
     }
 
-    const rawToken = createPasswordResetToken();
-    const hashedToken = hashPasswordResetToken(rawToken);
-    const expiresAt = new Date(Date.now() + 1000 * 60 * 30);
-
-    user.resetPasswordToken = hashedToken;
-    user.resetPasswordExpires = expiresAt;
-    await user.save();
-
-    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
-    const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(
-      rawToken
-    )}`;
-
-    const subject = "Reset your Mesh password";
-    const text = [
-      `Hello ${user.fullName || user.username},`,
-      "",
-      "We received a request to reset your Mesh password.",
-      `Reset it here: ${resetUrl}`,
-      "",
-      "This link will expire in 30 minutes.",
-      "If you did not request this, you can ignore this email.",
-    ].join("\n");
-
-    const html = `
-      <p>Hello ${user.fullName || user.username},</p>
-      <p>We received a request to reset your Mesh password.</p>
-      <p><a href="${resetUrl}">Reset your password</a></p>
-      <p>This link will expire in 30 minutes.</p>
-      <p>If you did not request this, you can ignore this email.</p>
-    `;
-
-    await sendMail({
-      to: user.email,
-      subject,
-      text,
-      html,
+    return res.json({
+      message: "If an account exists for that email, a reset link has been sent.",
     });
-
-    if (!hasMailConfig()) {
-      console.warn("[auth] Password reset email skipped; use this URL:", resetUrl);
-    }
-
-    return res.json({ message: successMessage });
   } catch (error) {
     console.error("Forgot password error:", error);
     return res.status(500).json({ error: "Server error during password reset request" });
@@ -655,6 +798,12 @@ const resetPassword = async (req, res) => {
         .json({ error: "Password must be at least 6 characters long" });
     }
 
+    const ipKey = throttleKey("reset", "ip", req.ip);
+    const retryAfter = await getRetryAfter([ipKey]);
+    if (retryAfter) {
+      return rejectThrottled(res, retryAfter);
+    }
+
     const hashedToken = hashPasswordResetToken(token);
     const user = await User.findOne({
       resetPasswordToken: hashedToken,
@@ -662,6 +811,7 @@ const resetPassword = async (req, res) => {
     }).select("+resetPasswordToken +resetPasswordExpires");
 
     if (!user) {
+      await registerFailure(ipKey, LIMITS.ip);
       return res.status(400).json({ error: "Reset link is invalid or has expired" });
     }
 
@@ -669,6 +819,9 @@ const resetPassword = async (req, res) => {
     user.resetPasswordToken = null;
     user.resetPasswordExpires = null;
     await user.save();
+    await revokeAllSessions(user._id);
+    // A successful reset proves ownership, so lift any login lockout
+    await clearFailures([throttleKey("login", "user", user._id)]);
 
     return res.json({ message: "Password reset successfully" });
   } catch (error) {
@@ -677,6 +830,218 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// Stores a fresh sign-in link bound to `nonce` on `user` and emails it
+const sendMagicLinkEmail = async (user, nonce) => {
+  const rawToken = createPasswordResetToken();
+  user.magicLinkToken = hashPasswordResetToken(rawToken);
+  user.magicLinkNonce = hashPasswordResetToken(nonce);
+  user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_TTL_MS);
+  await user.save();
+
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const loginUrl = `${frontendUrl}/magic-link?token=${encodeURIComponent(rawToken)}`;
+
+  const subject = "Your Mesh sign-in link";
+  const text = [
+    `Hello ${user.fullName || user.username},`,
+    "",
+    "Use this link to sign in to Mesh:",
+    loginUrl,
+    "",
+    "This link will expire in 15 minutes, can only be used once, and only works in the browser where you requested it.",
+    "If you did not request this, you can ignore this email.",
+  ].join("\n");
+
+  const html = `
+    <p>Hello ${user.fullName || user.username},</p>
+    <p><a href="${loginUrl}">Sign in to Mesh</a></p>
+    <p>This link will expire in 15 minutes, can only be used once, and only works in the browser where you requested it.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `;
+
+  await sendMail({ to: user.email, subject, text, html });
+
+  if (!hasMailConfig()) {
+    console.warn("[auth] Magic link email skipped; use this URL:", loginUrl);
+  }
+};
+
+// @desc    Email a single-use sign-in link. The returned nonce must be kept by
+//          the requesting browser and sent back with the link token.
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    // Counted for unknown addresses too, so the limit reveals nothing
+    const retryAfter = await registerEmailSend("magic-send", req.ip, email);
+    if (retryAfter) {
+      return rejectThrottled(res, retryAfter);
+    }
+
+    const user = await User.findOne({ email }).select(
+      "+magicLinkToken +magicLinkNonce +magicLinkExpires"
+    );
+
+    // A nonce is returned for unknown emails too, and the email goes out in
+    // the background, so both cases answer the same way, equally fast
+    const nonce = createPasswordResetToken();
+    if (user) {
+      sendMagicLinkEmail(user, nonce).catch((error) =>
+        console.error("Magic link email error:", error)
+      );
+    }
+
+    return res.json({
+      message: "If an account exists for that email, a sign-in link has been sent.",
+      nonce,
+    });
+  } catch (error) {
+    console.error("Magic link request error:", error);
+    return res.status(500).json({ error: "Server error during sign-in link request" });
+  }
+};
+
+// @desc    Sign in with a magic link token and the nonce from the request step
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+const verifyMagicLink = async (req, res) => {
+  try {
+    const token = String(req.body?.token || "").trim();
+    const nonce = String(req.body?.nonce || "").trim();
+    if (!token || !nonce) {
+      return res.status(400).json({ error: "Token and nonce are required" });
+    }
+
+    const ipKey = throttleKey("magic", "ip", req.ip);
+    const ipRetryAfter = await getRetryAfter([ipKey]);
+    if (ipRetryAfter) {
+      return rejectThrottled(res, ipRetryAfter);
+    }
+
+    const hashedToken = hashPasswordResetToken(token);
+    const user = await User.findOne({
+      magicLinkToken: hashedToken,
+      magicLinkExpires: { $gt: new Date() },
+    }).select("+magicLinkNonce");
+
+    if (!user || user.magicLinkNonce !== hashPasswordResetToken(nonce)) {
+      await registerFailure(ipKey, LIMITS.ip);
+      return res.status(400).json({
+        error: "Sign-in link is invalid, has expired, or was requested from another browser",
+      });
+    }
+
+    // A locked account stays locked, whichever way it signs in
+    const retryAfter = await getRetryAfter([throttleKey("login", "user", user._id)]);
+    if (retryAfter) {
+      return rejectThrottled(res, retryAfter);
+    }
+
+    // Conditional clear so two concurrent redemptions cannot both succeed
+    const consumed = await User.updateOne(
+      { _id: user._id, magicLinkToken: hashedToken },
+      { magicLinkToken: null, magicLinkNonce: null, magicLinkExpires: null }
+    );
+    if (!consumed.modifiedCount) {
+      return res.status(400).json({
+        error: "Sign-in link is invalid, has expired, or was requested from another browser",
+      });
+    }
+
+    const fresh = await User.findById(user._id);
+    // Receiving the link proves ownership of the address
+    if (!fresh.isVerified) fresh.isVerified = true;
+
+    const result = await completeLogin(fresh, req);
+    if (!result) return rejectPurgingLogin(res);
+    return res.json(result);
+  } catch (error) {
+    console.error("Magic link verify error:", error);
+    return res.status(500).json({ error: "Server error during sign-in" });
+  }
+};
+
+// @desc    Verify an email address (signup or email change) using token
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const token = String(req.params?.token || "").trim();
+    if (!token) {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashPasswordResetToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    }).select("+emailVerificationToken +emailVerificationExpires +pendingEmail");
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Verification link is invalid or has expired" });
+    }
+
+    if (user.pendingEmail) {
+      const taken = await User.findOne({
+        _id: { $ne: user._id },
+        email: user.pendingEmail,
+      }).select("_id");
+      if (taken) {
+        user.pendingEmail = null;
+        user.emailVerificationToken = null;
+        user.emailVerificationExpires = null;
+        await user.save();
+        return res.status(400).json({ error: "Email is already in use" });
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    return res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    return res.status(500).json({ error: "Server error during email verification" });
+  }
+};
+
+// @desc    Resend the verification link for the account or pending email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+emailVerificationToken +emailVerificationExpires +pendingEmail"
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const address = user.pendingEmail || (!user.isVerified ? user.email : null);
+    if (!address) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user, address);
+    await user.save();
+
+    return res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    return res.status(500).json({ error: "Server error while sending verification email" });
+  }
+};
+
 // @desc    Get user profile by username
 // @route   GET /api/auth/profile/:username
 // @access  Public
@@ -684,9 +1049,13 @@ const getUserProfile = async (req, res) => {
   try {
     const { username } = req.params;
 
-    const user = await User.findOne({ username })
-      .populate("followers", "username fullName avatar")
-      .select("-password -email");
+    // Blocked users (either way) get the same 404 as a missing account
+    const blockedIds = await getBlockedUserIds(req.user?._id);
+    const user = await User.findOne({
+      username,
+      _id: { $nin: blockedIds },
+      ...activeUserFilter(),
+    }).select("-password -email");
 
     if (!user) {
       return res.status(404).json({
@@ -695,22 +1064,23 @@ const getUserProfile = async (req, res) => {
     }
 
     // Check if the requesting user is following this user
-    let isFollowing = false;
-    if (req.user) {
-      isFollowing = user.followers.some(
-        (follower) => follower._id.toString() === req.user._id.toString()
-      );
+    const viewerFollows = await isFollowing(req.user?._id, user._id);
+    let followRequested = false;
+    if (req.user && !viewerFollows && user.isPrivate) {
+      followRequested = !!(await FollowRequest.exists({
+        from: req.user._id,
+        to: user._id,
+      }));
     }
+    const canViewContent = await canViewUserContent(req.user?._id, user);
 
-    // Add follower count to the user object and convert following to array of IDs
-    const userWithFollowers = user.getPublicProfile();
-    userWithFollowers.followerCount = user.followers.length;
-    // Convert following array to just IDs for frontend compatibility
-    userWithFollowers.following = user.following.map(id => id.toString());
-
+    // Only counts here; the lists themselves are paged through the
+    // followers/following endpoints, which apply the same privacy rules
     res.json({
-      user: userWithFollowers,
-      isFollowing,
+      user: user.getPublicProfile(),
+      isFollowing: viewerFollows,
+      followRequested,
+      canViewContent,
     });
   } catch (error) {
     console.error("Get user profile error:", error);
@@ -734,38 +1104,18 @@ const followUser = async (req, res) => {
       });
     }
 
-    const userToFollow = await User.findById(userId);
-    const currentUser = await User.findById(currentUserId);
-
-    if (!userToFollow || !currentUser) {
+    const result = await toggleFollow(req.user, userId, req.app.get("io"));
+    if (!result) {
       return res.status(404).json({
         error: "User not found",
       });
     }
 
-    const isFollowing = currentUser.following.includes(userId);
-
-    if (isFollowing) {
-      // Unfollow
-      currentUser.following = currentUser.following.filter(
-        (id) => id.toString() !== userId
-      );
-      userToFollow.followers = userToFollow.followers.filter(
-        (id) => id.toString() !== currentUserId.toString()
-      );
-    } else {
-      // Follow
-      currentUser.following.push(userId);
-      userToFollow.followers.push(currentUserId);
-    }
-
-    await Promise.all([currentUser.save(), userToFollow.save()]);
-
     res.json({
-      message: isFollowing
-        ? "Unfollowed successfully"
-        : "Followed successfully",
-      isFollowing: !isFollowing,
+      message: FOLLOW_MESSAGES[result.status],
+      isFollowing: result.isFollowing,
+      requested: result.requested,
+      followersCount: result.followerCount,
     });
   } catch (error) {
     console.error("Follow/Unfollow error:", error);
@@ -775,235 +1125,46 @@ const followUser = async (req, res) => {
   }
 };
 
+// @desc    Remove someone from your followers without blocking or notifying
+//          them. Following a private account again takes a new request.
+// @route   DELETE /api/auth/followers/:userId
+// @access  Private
+const removeFollower = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId) || !(await removeFollow(userId, req.user._id))) {
+      return res.status(404).json({ error: "This user is not following you" });
+    }
+
+    const { followerCount } = await User.findById(req.user._id).select("followerCount");
+    res.json({ message: "Follower removed", followerCount });
+  } catch (error) {
+    console.error("Remove follower error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
   getUserSuggestions,
+  dismissSuggestion,
   getUsers,
   searchAll,
   forgotPassword,
   resetPassword,
+  requestMagicLink,
+  verifyMagicLink,
+  verifyEmail,
+  resendVerificationEmail,
   updateProfile,
   checkUsernameAvailability,
+  refreshSession,
   logout,
   getUserProfile,
   followUser,
+  removeFollower,
   getFollowersList,
   getFollowingList,
-  // OAuth handlers will be appended by further export below
 };
-
-// ===== OAuth: Google =====
-const GOOGLE_AUTH_URL = "https://accounts.google.com/o/oauth2/v2/auth";
-const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
-
-const oauthGoogleStart = async (req, res) => {
-  try {
-    const params = new URLSearchParams({
-      client_id: process.env.GOOGLE_CLIENT_ID || "",
-      redirect_uri:
-        process.env.GOOGLE_REDIRECT_URI || `${process.env.BACKEND_URL}/api/auth/oauth/google/callback`,
-      response_type: "code",
-      scope: "openid email profile",
-      access_type: "offline",
-      prompt: "consent",
-    });
-    return res.redirect(`${GOOGLE_AUTH_URL}?${params.toString()}`);
-  } catch (err) {
-    console.error("Google OAuth start error:", err);
-    return res.status(500).json({ error: "Failed to initiate Google OAuth" });
-  }
-};
-
-const oauthGoogleCallback = async (req, res) => {
-  try {
-    const { code } = req.query;
-    if (!code) return res.status(400).json({ error: "Missing code" });
-
-    const body = new URLSearchParams({
-      code: String(code),
-      client_id: process.env.GOOGLE_CLIENT_ID || "",
-      client_secret: process.env.GOOGLE_CLIENT_SECRET || "",
-      redirect_uri:
-        process.env.GOOGLE_REDIRECT_URI || `${process.env.BACKEND_URL}/api/auth/oauth/google/callback`,
-      grant_type: "authorization_code",
-    });
-
-    const tokenResp = await fetch(GOOGLE_TOKEN_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    const tokenJson = await tokenResp.json();
-    if (!tokenResp.ok) {
-      console.error("Google token exchange failed:", tokenJson);
-      return res.status(400).json({ error: "Google token exchange failed" });
-    }
-
-    const idToken = tokenJson.id_token;
-    if (!idToken) return res.status(400).json({ error: "Missing id_token" });
-
-    // Decode the id_token (JWT) to get profile info
-    const decoded = JSON.parse(Buffer.from(idToken.split(".")[1], "base64").toString());
-    const sub = decoded.sub;
-    const email = decoded.email;
-    const name = decoded.name || decoded.given_name || "User";
-    const picture = decoded.picture || "";
-
-    if (!email) {
-      return res.status(400).json({ error: "Google account email not available" });
-    }
-
-    // Find or create user
-    let user = await User.findOne({ $or: [{ provider: "google", providerId: sub }, { email }] });
-    if (!user) {
-      const firstName = (decoded.given_name || name || "User").split(" ")[0];
-      const username = await generateUniqueUsername(firstName);
-      user = new User({
-        username,
-        email,
-        fullName: name,
-        avatar: picture || "",
-        provider: "google",
-        providerId: sub,
-        isVerified: true,
-        // No password for OAuth accounts
-      });
-      await user.save();
-    } else {
-      // Ensure provider fields are set for existing user
-      if (!user.provider) user.provider = "google";
-      if (!user.providerId) user.providerId = sub;
-      // Keep profile fresh
-      if (picture && user.avatar !== picture) user.avatar = picture;
-      if (name && user.fullName !== name) user.fullName = name;
-      await user.save();
-    }
-
-    const appToken = generateToken(user._id);
-    const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
-    // Redirect to frontend callback with token
-    return res.redirect(`${frontend}/oauth/callback?token=${encodeURIComponent(appToken)}`);
-  } catch (err) {
-    console.error("Google OAuth callback error:", err);
-    return res.status(500).json({ error: "Google OAuth callback failed" });
-  }
-};
-
-// ===== OAuth: GitHub =====
-const GITHUB_AUTH_URL = "https://github.com/login/oauth/authorize";
-const GITHUB_TOKEN_URL = "https://github.com/login/oauth/access_token";
-
-const oauthGithubStart = async (req, res) => {
-  try {
-    const params = new URLSearchParams({
-      client_id: process.env.GITHUB_CLIENT_ID || "",
-      redirect_uri:
-        process.env.GITHUB_REDIRECT_URI || `${process.env.BACKEND_URL}/api/auth/oauth/github/callback`,
-      scope: "read:user user:email",
-      allow_signup: "true",
-    });
-    return res.redirect(`${GITHUB_AUTH_URL}?${params.toString()}`);
-  } catch (err) {
-    console.error("GitHub OAuth start error:", err);
-    return res.status(500).json({ error: "Failed to initiate GitHub OAuth" });
-  }
-};
-
-const oauthGithubCallback = async (req, res) => {
-  try {
-    const { code } = req.query;
-    if (!code) return res.status(400).json({ error: "Missing code" });
-
-    const tokenParams = new URLSearchParams({
-      client_id: process.env.GITHUB_CLIENT_ID || "",
-      client_secret: process.env.GITHUB_CLIENT_SECRET || "",
-      code: String(code),
-      redirect_uri:
-        process.env.GITHUB_REDIRECT_URI || `${process.env.BACKEND_URL}/api/auth/oauth/github/callback`,
-    });
-
-    const tokenResp = await fetch(GITHUB_TOKEN_URL, {
-      method: "POST",
-      headers: { Accept: "application/json" },
-      body: tokenParams,
-    });
-    const tokenJson = await tokenResp.json();
-    if (!tokenResp.ok || tokenJson.error) {
-      console.error("GitHub token exchange failed:", tokenJson);
-      return res.status(400).json({ error: "GitHub token exchange failed" });
-    }
-    const accessToken = tokenJson.access_token;
-
-    // Get user profile
-    const userResp = await fetch("https://api.github.com/user", {
-      headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
-    });
-    const ghUser = await userResp.json();
-    if (!userResp.ok) {
-      console.error("GitHub user fetch failed:", ghUser);
-      return res.status(400).json({ error: "Failed to fetch GitHub user" });
-    }
-
-    // Get emails to find primary email
-    let email = null;
-    try {
-      const emailResp = await fetch("https://api.github.com/user/emails", {
-        headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
-      });
-      const emails = await emailResp.json();
-      if (Array.isArray(emails)) {
-        const primary = emails.find((e) => e.primary) || emails.find((e) => e.verified) || emails[0];
-        email = primary && primary.email;
-      }
-    } catch (e) {
-      console.warn("GitHub emails fetch failed, proceeding without email");
-    }
-
-    const providerId = String(ghUser.id);
-    const name = ghUser.name || ghUser.login || "GitHub User";
-    const avatar = ghUser.avatar_url || "";
-    const loginName = ghUser.login || name.split(" ")[0];
-    if (!email) {
-      // Fallback email to satisfy model validation
-      email = `${loginName}@users.noreply.github.com`;
-    }
-
-    // Find or create user
-    let user = await User.findOne({ $or: [{ provider: "github", providerId }, { email }] });
-    if (!user) {
-      const base = (name || loginName).split(" ")[0];
-      const username = await generateUniqueUsername(base);
-      user = new User({
-        username,
-        email,
-        fullName: name,
-        avatar,
-        provider: "github",
-        providerId,
-        isVerified: true,
-      });
-      await user.save();
-    } else {
-      if (!user.provider) user.provider = "github";
-      if (!user.providerId) user.providerId = providerId;
-      if (avatar && user.avatar !== avatar) user.avatar = avatar;
-      if (name && user.fullName !== name) user.fullName = name;
-      await user.save();
-    }
-
-    const appToken = generateToken(user._id);
-    const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
-    return res.redirect(`${frontend}/oauth/callback?token=${encodeURIComponent(appToken)}`);
-  } catch (err) {
-    console.error("GitHub OAuth callback error:", err);
-    return res.status(500).json({ error: "GitHub OAuth callback failed" });
-  }
-};
-
-// Re-export with OAuth handlers
-module.exports.oauthGoogleStart = oauthGoogleStart;
-module.exports.oauthGoogleCallback = oauthGoogleCallback;
-module.exports.oauthGithubStart = oauthGithubStart;
-module.exports.oauthGithubCallback = oauthGithubCallback;
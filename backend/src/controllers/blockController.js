@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Block = require("../models/Block");
+const FollowRequest = require("../models/FollowRequest");
+const Notification = require("../models/Notification");
+const { activeUserFilter } = require("../utils/accountStatus");
+const { removeFollow } = require("../utils/followGraph");
+
+// @desc    List the accounts the current user has blocked
+// @route   GET /api/auth/blocks
+// @access  Private
+const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate("blocked", "username fullName avatar");
+
+    return res.json({
+      blocked: blocks
+        .filter((block) => block.blocked)
+        .map((block) => ({
+          _id: block.blocked._id,
+          username: block.blocked.username,
+          fullName: block.blocked.fullName,
+          avatar: block.blocked.avatar,
+          blockedAt: block.createdAt,
+        })),
+    });
+  } catch (error) {
+    console.error("Get blocked users error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Block a user: removes follows both ways and hides each from the other
+// @route   POST /api/auth/block/:userId
+// @access  Private
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const me = req.user._id;
+    if (String(userId) === String(me)) {
+      return res.status(400).json({ error: "You cannot block yourself" });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const target = await User.findOne({ _id: userId, ...activeUserFilter() }).select("_id");
+    if (!target) return res.status(404).json({ error: "User not found" });
+
+    await Block.updateOne(
+      { blocker: me, blocked: target._id },
+      { $setOnInsert: { blocker: me, blocked: target._id } },
+      { upsert: true }
+    );
+
+    await Promise.all([
+      removeFollow(me, target._id),
+      removeFollow(target._id, me),
+      FollowRequest.deleteMany({
+        $or: [
+          { from: me, to: target._id },
+          { from: target._id, to: me },
+        ],
+      }),
+      Notification.deleteMany({
+        $or: [
+          { user: me, from: target._id },
+          { user: target._id, from: me },
+        ],
+      }),
+    ]);
+
+    return res.json({ message: "User blocked", isBlocked: true });
+  } catch (error) {
+    console.error("Block user error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Unblock a user (follows are not restored)
+// @route   DELETE /api/auth/block/:userId
+// @access  Private
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const result = await Block.deleteOne({ blocker: req.user._id, blocked: userId });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: "User is not blocked" });
+    }
+    return res.json({ message: "User unblocked", isBlocked: false });
+  } catch (error) {
+    console.error("Unblock user error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+};
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const DataExport = require("../models/DataExport");
+const { buildDataExport } = require("../jobs/dataExport");
+
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const toExportPayload = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  sizeBytes: dataExport.sizeBytes,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  error: dataExport.error || "",
+});
+
+// @desc    Request an archive of all of the user's data; built in the background
+// @route   POST /api/auth/exports
+// @access  Private
+const requestDataExport = async (req, res) => {
+  try {
+    const recent = await DataExport.findOne({
+      user: req.user._id,
+      $or: [
+        { status: { $in: ["pending", "processing"] } },
+        { createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_MS) }, status: "ready" },
+      ],
+    });
+    if (recent) {
+      return res.status(429).json({
+        error: "An export is already in progress or was created in the last 24 hours",
+        export: toExportPayload(recent),
+      });
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+    const io = req.app.get("io");
+    // The sweep picks the export up again if this attempt fails outright
+    setImmediate(() =>
+      buildDataExport(dataExport._id, { io }).catch((error) =>
+        console.error("[dataExport] build failed:", error)
+      )
+    );
+
+    return res.status(202).json({
+      message: "Export started. We'll notify you when it is ready.",
+      export: toExportPayload(dataExport),
+    });
+  } catch (error) {
+    console.error("Request data export error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    List the user's data exports
+// @route   GET /api/auth/exports
+// @access  Private
+const getDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 });
+    return res.json({ exports: exports.map(toExportPayload) });
+  } catch (error) {
+    console.error("Get data exports error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Download a finished export archive
+// @route   GET /api/auth/exports/:exportId/download
+// @access  Private
+const downloadDataExport = async (req, res) => {
+  try {
+    const { exportId } = req.params;
+    if (!mongoose.isValidObjectId(exportId)) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: exportId,
+      user: req.user._id,
+    }).select("+filePath");
+    if (!dataExport) return res.status(404).json({ error: "Export not found" });
+    if (dataExport.status !== "ready") {
+      return res.status(409).json({ error: "Export is not ready yet" });
+    }
+    if (dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({ error: "This export has expired" });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    return res.download(dataExport.filePath, `mesh-data-${date}.zip`, (err) => {
+      if (err && !res.headersSent) {
+        console.error("Download data export error:", err);
+        res.status(404).json({ error: "Export not found" });
+      }
+    });
+  } catch (error) {
+    console.error("Download data export error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+};
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const FollowRequest = require("../models/FollowRequest");
+const Notification = require("../models/Notification");
+const { activeUserFilter } = require("../utils/accountStatus");
+const { acceptFollowRequest } = require("../utils/followGraph");
+
+// Only the account owner (the request's `to`) can act on a request
+const findIncomingRequest = (requestId, ownerId) =>
+  mongoose.isValidObjectId(requestId)
+    ? FollowRequest.findOne({ _id: requestId, to: ownerId })
+    : null;
+
+// @desc    List pending requests to follow the current (private) account
+// @route   GET /api/auth/follow-requests
+// @access  Private
+const getFollowRequests = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const [total, requests] = await Promise.all([
+      FollowRequest.countDocuments({ to: req.user._id }),
+      FollowRequest.find({ to: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+          path: "from",
+          select: "username fullName avatar verifiedBadge",
+          match: activeUserFilter(),
+        }),
+    ]);
+
+    return res.json({
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total,
+      requests: requests
+        .filter((request) => request.from)
+        .map((request) => ({
+          _id: request._id,
+          createdAt: request.createdAt,
+          user: {
+            _id: request.from._id,
+            username: request.from.username,
+            fullName: request.from.fullName,
+            avatar: request.from.avatar,
+            verifiedBadge: !!request.from.verifiedBadge,
+          },
+        })),
+    });
+  } catch (error) {
+    console.error("Get follow requests error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Approve a follow request
+// @route   POST /api/auth/follow-requests/:requestId/approve
+// @access  Private
+const approveFollowRequest = async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req.params.requestId, req.user._id);
+    if (!request) return res.status(404).json({ error: "Follow request not found" });
+
+    await acceptFollowRequest(request);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(request.from.toString()).emit("followRequestApproved", {
+        userId: req.user._id,
+        username: req.user.username,
+      });
+    }
+    return res.json({ message: "Follow request approved" });
+  } catch (error) {
+    console.error("Approve follow request error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Reject a follow request
+// @route   DELETE /api/auth/follow-requests/:requestId
+// @access  Private
+const rejectFollowRequest = async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req.params.requestId, req.user._id);
+    if (!request) return res.status(404).json({ error: "Follow request not found" });
+
+    await FollowRequest.deleteOne({ _id: request._id });
+    await Notification.deleteMany({
+      user: req.user._id,
+      from: request.from,
+      type: "follow_request",
+    });
+    return res.json({ message: "Follow request rejected" });
+  } catch (error) {
+    console.error("Reject follow request error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+};
@@ -1,6 +1,9 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { sendPushToUser } = require('../utils/pushSender');
+const { pushMessage } = require('../utils/notify');
+const { activeUserFilter } = require('../utils/accountStatus');
+const { getBlockedUserIds, isBlockedBetween } = require('../utils/blocks');
+const { getFollowerIds, getFollowingIds } = require('../utils/followGraph');
 const multer = require('multer');
 const { cloudinary } = require('../utils/cloudinary');
 
@@ -52,6 +55,8 @@ const getConversations = async (req, res) => {
     const limit = parseInt(req.query.limit) || 5;
     const skip = (page - 1) * limit;
 
+    const blockedIds = await getBlockedUserIds(userId);
+
     // Get all unique conversations for the user with pagination
     const conversationsAggregate = await Message.aggregate([
       {
@@ -91,6 +96,10 @@ const getConversations = async (req, res) => {
           }
         }
       },
+      {
+        // Conversations with blocked users are hidden
+        $match: { _id: { $nin: blockedIds } }
+      },
       {
         $lookup: {
           from: "users",
@@ -167,8 +176,10 @@ const uploadVoiceNote = async (req, res) => {
     if (!recipientId) return res.status(400).json({ error: 'recipientId is required' });
     if (!file) return res.status(400).json({ error: 'audio file is required' });
 
-    const recipient = await User.findById(recipientId);
-    if (!recipient) return res.status(404).json({ error: 'Recipient not found' });
+    const recipient = await User.findOne({ _id: recipientId, ...activeUserFilter() });
+    if (!recipient || (await isBlockedBetween(senderId, recipient._id))) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
 
     // Determine threadId from replyTo if provided
     let threadId = null;
@@ -222,12 +233,16 @@ const uploadVoiceNote = async (req, res) => {
     }
 
     // Also push notification
-    sendPushToUser(recipientId, {
-      title: 'New voice note',
-      body: `${req.user.fullName} sent a voice message`,
-      url: `/inbox`,
-      tag: 'mesh-message',
-    });
+    pushMessage({
+      recipientId,
+      senderId,
+      push: {
+        title: 'New voice note',
+        body: `${req.user.fullName} sent a voice message`,
+        url: `/inbox`,
+        tag: 'mesh-message',
+      },
+    }).catch((error) => console.error('Message push error:', error));
 
     res.status(201).json({ message });
   } catch (error) {
@@ -248,8 +263,10 @@ const uploadImageMessage = async (req, res) => {
     if (!recipientId) return res.status(400).json({ error: 'recipientId is required' });
     if (!file) return res.status(400).json({ error: 'image file is required' });
 
-    const recipient = await User.findById(recipientId);
-    if (!recipient) return res.status(404).json({ error: 'Recipient not found' });
+    const recipient = await User.findOne({ _id: recipientId, ...activeUserFilter() });
+    if (!recipient || (await isBlockedBetween(senderId, recipient._id))) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
 
     let threadId = null;
     if (replyTo) {
@@ -298,12 +315,16 @@ const uploadImageMessage = async (req, res) => {
       io.to(senderId.toString()).emit('messageSent', message);
     }
 
-    sendPushToUser(recipientId, {
-      title: 'New photo',
-      body: `${req.user.fullName} sent a photo`,
-      url: `/inbox`,
-      tag: 'mesh-message',
-    });
+    pushMessage({
+      recipientId,
+      senderId,
+      push: {
+        title: 'New photo',
+        body: `${req.user.fullName} sent a photo`,
+        url: `/inbox`,
+        tag: 'mesh-message',
+      },
+    }).catch((error) => console.error('Message push error:', error));
 
     res.status(201).json({ message });
   } catch (error) {
@@ -324,8 +345,10 @@ const uploadVideoMessage = async (req, res) => {
     if (!recipientId) return res.status(400).json({ error: 'recipientId is required' });
     if (!file) return res.status(400).json({ error: 'video file is required' });
 
-    const recipient = await User.findById(recipientId);
-    if (!recipient) return res.status(404).json({ error: 'Recipient not found' });
+    const recipient = await User.findOne({ _id: recipientId, ...activeUserFilter() });
+    if (!recipient || (await isBlockedBetween(senderId, recipient._id))) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
 
     let threadId = null;
     if (replyTo) {
@@ -375,12 +398,16 @@ const uploadVideoMessage = async (req, res) => {
       io.to(senderId.toString()).emit('messageSent', message);
     }
 
-    sendPushToUser(recipientId, {
-      title: 'New video',
-      body: `${req.user.fullName} sent a video`,
-      url: `/inbox`,
-      tag: 'mesh-message',
-    });
+    pushMessage({
+      recipientId,
+      senderId,
+      push: {
+        title: 'New video',
+        body: `${req.user.fullName} sent a video`,
+        url: `/inbox`,
+        tag: 'mesh-message',
+      },
+    }).catch((error) => console.error('Message push error:', error));
 
     res.status(201).json({ message });
   } catch (error) {
@@ -498,9 +525,9 @@ const sendMessage = async (req, res) => {
       return res.status(400).json({ error: "Recipient and content are required" });
     }
 
-    // Check if recipient exists
-    const recipient = await User.findById(recipientId);
-    if (!recipient) {
+    // Check if recipient exists (deactivated accounts can't receive new messages)
+    const recipient = await User.findOne({ _id: recipientId, ...activeUserFilter() });
+    if (!recipient || (await isBlockedBetween(senderId, recipient._id))) {
       return res.status(404).json({ error: "Recipient not found" });
     }
 
@@ -553,12 +580,17 @@ const sendMessage = async (req, res) => {
     }
 
     // Also send Web Push to recipient
-    sendPushToUser(recipientId, {
-      title: 'New message',
-      body: `${req.user.fullName} sent you a message`,
-      url: `/inbox`,
-      tag: 'mesh-message',
-    });
+    pushMessage({
+      recipientId,
+      senderId,
+      text: content,
+      push: {
+        title: 'New message',
+        body: `${req.user.fullName} sent you a message`,
+        url: `/inbox`,
+        tag: 'mesh-message',
+      },
+    }).catch((error) => console.error('Message push error:', error));
 
     res.status(201).json({ message });
   } catch (error) {
@@ -760,21 +792,16 @@ const getMutualFollowers = async (req, res) => {
   try {
     const currentUserId = req.user._id;
 
-    // Get current user with followers and following
-    const currentUser = await User.findById(currentUserId)
-      .populate('followers', '_id username fullName avatar')
-      .populate('following', '_id username fullName avatar');
-
-    if (!currentUser) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    // Mutual followers: users who follow current user AND current user follows them
+    const blockedIds = await getBlockedUserIds(currentUserId);
+    const followingIds = await getFollowingIds(currentUserId, blockedIds);
+    const followerIds = await getFollowerIds(currentUserId, blockedIds);
+    const following = new Set(followingIds.map(id => id.toString()));
 
-    // Find mutual followers (users who follow current user AND current user follows them)
-    const mutualFollowers = currentUser.followers.filter(follower => 
-      currentUser.following.some(following => 
-        following._id.toString() === follower._id.toString()
-      )
-    );
+    const mutualFollowers = await User.find({
+      _id: { $in: followerIds.filter(id => following.has(id.toString())) },
+      ...activeUserFilter()
+    }).select('_id username fullName avatar');
 
     res.json({
       mutualFollowers: mutualFollowers.map(user => ({
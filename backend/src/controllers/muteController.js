@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const Mute = require("../models/Mute");
+const User = require("../models/User");
+
+const MAX_MUTE_HOURS = 365 * 24;
+const MAX_MUTES_PER_USER = 500;
+
+const toMutePayload = (mute) => ({
+  _id: mute._id,
+  kind: mute.kind,
+  keyword: mute.kind === "keyword" ? mute.keyword : undefined,
+  user:
+    mute.kind === "user" && mute.mutedUser
+      ? {
+          _id: mute.mutedUser._id || mute.mutedUser,
+          username: mute.mutedUser.username,
+          fullName: mute.mutedUser.fullName,
+          avatar: mute.mutedUser.avatar,
+        }
+      : undefined,
+  expiresAt: mute.expiresAt,
+  createdAt: mute.createdAt,
+});
+
+// @desc    List the current user's active mutes
+// @route   GET /api/auth/mutes
+// @access  Private
+const getMutes = async (req, res) => {
+  try {
+    const mutes = await Mute.find({
+      user: req.user._id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    })
+      .sort({ createdAt: -1 })
+      .populate("mutedUser", "username fullName avatar");
+
+    return res.json({ mutes: mutes.map(toMutePayload) });
+  } catch (error) {
+    console.error("Get mutes error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Mute an account (`userId`) or a keyword/hashtag (`keyword`), optionally
+//          for `expiresInHours`. Muting again updates the expiry.
+// @route   POST /api/auth/mutes
+// @access  Private
+const createMute = async (req, res) => {
+  try {
+    const { userId, keyword, expiresInHours } = req.body || {};
+    if (!userId === !keyword) {
+      return res.status(400).json({ error: "Provide either userId or keyword" });
+    }
+
+    let expiresAt = null;
+    if (expiresInHours !== undefined && expiresInHours !== null) {
+      const hours = Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_MUTE_HOURS) {
+        return res
+          .status(400)
+          .json({ error: `expiresInHours must be between 1 and ${MAX_MUTE_HOURS}` });
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    const count = await Mute.countDocuments({ user: req.user._id });
+    if (count >= MAX_MUTES_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_MUTES_PER_USER} mutes` });
+    }
+
+    let filter;
+    if (userId) {
+      if (String(userId) === String(req.user._id)) {
+        return res.status(400).json({ error: "You cannot mute yourself" });
+      }
+      if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      filter = { user: req.user._id, kind: "user", mutedUser: userId };
+    } else {
+      const normalized = String(keyword).trim().toLowerCase().replace(/\s+/g, " ");
+      if (!normalized || normalized.length > 100) {
+        return res.status(400).json({ error: "Keyword must be 1-100 characters" });
+      }
+      filter = { user: req.user._id, kind: "keyword", keyword: normalized };
+    }
+
+    const mute = await Mute.findOneAndUpdate(
+      filter,
+      { $set: { expiresAt }, $setOnInsert: filter },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).populate("mutedUser", "username fullName avatar");
+
+    return res.status(201).json({ message: "Muted", mute: toMutePayload(mute) });
+  } catch (error) {
+    console.error("Create mute error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Remove a mute
+// @route   DELETE /api/auth/mutes/:muteId
+// @access  Private
+const deleteMute = async (req, res) => {
+  try {
+    const { muteId } = req.params;
+    if (!mongoose.isValidObjectId(muteId)) {
+      return res.status(404).json({ error: "Mute not found" });
+    }
+    const result = await Mute.deleteOne({ _id: muteId, user: req.user._id });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: "Mute not found" });
+    }
+    return res.json({ message: "Unmuted" });
+  } catch (error) {
+    console.error("Delete mute error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  getMutes,
+  createMute,
+  deleteMute,
+};
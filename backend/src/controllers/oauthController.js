@@ -0,0 +1,296 @@
+const User = require("../models/User");
+const {
+  createExchangeCode,
+  redeemExchangeCode,
+  createLinkTicket,
+  redeemLinkTicket,
+} = require("../utils/authTokens");
+const { completeLogin, rejectPurgingLogin } = require("../utils/completeLogin");
+const { createOAuthState, consumeOAuthState } = require("../utils/oauthState");
+const {
+  getProvider,
+  listProviders,
+  exchangeAuthorizationCode,
+} = require("../utils/oauthProviders");
+
+// Helper: generate a unique username from a base (e.g., first name)
+const generateUniqueUsername = async (base) => {
+  const clean = (base || "user")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "")
+    .slice(0, 20) || "user";
+
+  // Try the clean base, then add numbers until unique
+  let candidate = clean;
+  let suffix = 0;
+  // Limit attempts to avoid infinite loops
+  while (suffix < 1000) {
+    const exists = await User.findOne({ username: candidate }).select("_id");
+    if (!exists) return candidate;
+    suffix += 1;
+    candidate = `${clean}${suffix}`;
+  }
+  // Fallback to random
+  return `${clean}${Math.floor(Math.random() * 100000)}`;
+};
+
+const redirectToOAuthCallback = (res, params) => {
+  const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+  return res.redirect(`${frontend}/oauth/callback?${new URLSearchParams(params).toString()}`);
+};
+
+// Authorization URL for `provider`; also sets the state cookie on `res`, which
+// ties the flow to the browser that made this request
+const buildAuthorizationUrl = async (res, provider, stateOptions) => {
+  const oauthState = createOAuthState(res, { provider: provider.id, ...stateOptions });
+  const client = provider.getClient();
+  const endpoints = await provider.getEndpoints();
+  const params = new URLSearchParams({
+    client_id: client.clientId,
+    redirect_uri: client.redirectUri,
+    response_type: "code",
+    scope: provider.scopes.join(" "),
+    ...provider.authParams,
+    ...(provider.usesNonce ? { nonce: oauthState.idTokenNonce } : {}),
+    state: oauthState.state,
+    code_challenge: oauthState.codeChallenge,
+    code_challenge_method: oauthState.codeChallengeMethod,
+  });
+  return `${endpoints.authorizationUrl}?${params.toString()}`;
+};
+
+// Resolves the mode recorded in `state`: "link" attaches the identity to the user
+// who started the flow, "login" signs in (or signs up) by identity only.
+const completeOAuth = async (req, res, state, provider, profile) => {
+  const { providerId, email, name, avatar, usernameBase, emailVerified = true } = profile;
+  const owner = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, providerId } },
+  });
+
+  if (state.mode === "link") {
+    if (owner) {
+      return String(owner._id) === String(state.userId)
+        ? redirectToOAuthCallback(res, { linked: provider.id })
+        : redirectToOAuthCallback(res, { error: "provider_already_linked" });
+    }
+    const result = await User.updateOne(
+      { _id: state.userId, "identities.provider": { $ne: provider.id } },
+      {
+        $push: {
+          identities: { provider: provider.id, providerId, email: email || "", linkedAt: new Date() },
+        },
+      }
+    );
+    if (!result.matchedCount) {
+      return redirectToOAuthCallback(res, { error: "provider_already_linked" });
+    }
+    return redirectToOAuthCallback(res, { linked: provider.id });
+  }
+
+  let user = owner;
+  if (!user) {
+    if (!email) {
+      return redirectToOAuthCallback(res, { error: "email_unavailable" });
+    }
+    // Never merge into an existing account by email; its owner has to sign in
+    // and link this provider explicitly.
+    const existing = await User.findOne({ email: email.toLowerCase() }).select("_id");
+    if (existing) {
+      return redirectToOAuthCallback(res, { error: "account_exists" });
+    }
+
+    const username = await generateUniqueUsername(usernameBase);
+    user = new User({
+      username,
+      email,
+      fullName: name,
+      avatar: avatar || "",
+      identities: [{ provider: provider.id, providerId, email, linkedAt: new Date() }],
+      // A placeholder address has to be replaced and confirmed like any other
+      isVerified: emailVerified,
+      // No password for OAuth accounts
+    });
+    await user.save();
+  } else {
+    // Keep profile fresh
+    if (avatar && user.avatar !== avatar) user.avatar = avatar;
+    if (name && user.fullName !== name) user.fullName = name;
+    await user.save();
+  }
+
+  // Tokens never go in the URL; the frontend redeems this code at /oauth/exchange
+  const code = await createExchangeCode(user._id);
+  return redirectToOAuthCallback(res, { code });
+};
+
+// @desc    List the OAuth providers configured on this server
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const getOAuthProviders = (req, res) => {
+  return res.json({ providers: listProviders() });
+};
+
+// @desc    Redirect to the provider's authorization page to sign in
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+const oauthStart = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ error: "Unknown provider" });
+
+  try {
+    return res.redirect(await buildAuthorizationUrl(res, provider, { mode: "login" }));
+  } catch (err) {
+    console.error(`${provider.label} OAuth start error:`, err);
+    return res.status(500).json({ error: `Failed to initiate ${provider.label} OAuth` });
+  }
+};
+
+// @desc    Provider redirect target: exchange the code and sign in or link
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+const oauthCallback = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ error: "Unknown provider" });
+
+  try {
+    const { code } = req.query;
+    const state = consumeOAuthState(req, res, provider.id);
+    if (!state) return res.status(400).json({ error: "Invalid or expired OAuth state" });
+    if (!code) return res.status(400).json({ error: "Missing code" });
+
+    const client = provider.getClient();
+    const endpoints = await provider.getEndpoints();
+    const tokens = await exchangeAuthorizationCode(
+      provider,
+      endpoints,
+      client,
+      code,
+      state.codeVerifier
+    );
+    if (!tokens) {
+      return res.status(400).json({ error: `${provider.label} token exchange failed` });
+    }
+
+    const profile = await provider.getProfile({
+      tokens,
+      endpoints,
+      client,
+      nonce: state.idTokenNonce,
+    });
+    return completeOAuth(req, res, state, provider, profile);
+  } catch (err) {
+    console.error(`${provider.label} OAuth callback error:`, err);
+    return res.status(500).json({ error: `${provider.label} OAuth callback failed` });
+  }
+};
+
+// @desc    Redeem a one-time OAuth exchange code for tokens
+// @route   POST /api/auth/oauth/exchange
+// @access  Public
+const exchangeOAuthCode = async (req, res) => {
+  try {
+    const userId = await redeemExchangeCode(String(req.body?.code || ""));
+    if (!userId) {
+      return res.status(400).json({ error: "Code is invalid, expired or already used" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ error: "Code is invalid, expired or already used" });
+    }
+
+    const result = await completeLogin(user, req);
+    if (!result) return rejectPurgingLogin(res);
+    return res.json(result);
+  } catch (error) {
+    console.error("OAuth code exchange error:", error);
+    return res.status(500).json({ error: "Server error during OAuth code exchange" });
+  }
+};
+
+// @desc    Start linking an OAuth provider to the current account. Returns a
+//          URL with a single-use ticket that expires after a minute; navigate
+//          the browser to it right away.
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+const linkOAuthProvider = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Unknown provider" });
+    }
+    const ticket = await createLinkTicket(req.user._id, provider.id);
+    const backend = process.env.BACKEND_URL || "http://localhost:5000";
+    const url = `${backend}/api/auth/oauth/${provider.id}/link?${new URLSearchParams({
+      ticket,
+    }).toString()}`;
+    return res.json({ url });
+  } catch (error) {
+    console.error("Link OAuth provider error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Redeem a link ticket and redirect to the provider. Being a top-level
+//          navigation to the API, this is where the state cookie can be set.
+// @route   GET /api/auth/oauth/:provider/link
+// @access  Public (ticket)
+const linkOAuthProviderRedirect = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ error: "Unknown provider" });
+
+  try {
+    const userId = await redeemLinkTicket(String(req.query.ticket || ""), provider.id);
+    if (!userId) {
+      return redirectToOAuthCallback(res, { error: "link_expired" });
+    }
+    return res.redirect(
+      await buildAuthorizationUrl(res, provider, { mode: "link", userId })
+    );
+  } catch (error) {
+    console.error(`${provider.label} OAuth link start error:`, error);
+    return res.status(500).json({ error: `Failed to initiate ${provider.label} OAuth` });
+  }
+};
+
+// @desc    Unlink an OAuth provider, keeping at least one way to log in
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+const unlinkOAuthProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const identity = (user.identities || []).find((i) => i.provider === provider);
+    if (!identity) {
+      return res.status(404).json({ error: "Provider is not linked" });
+    }
+    if (!user.password && user.identities.length <= 1) {
+      return res.status(400).json({
+        error: "Set a password or link another provider before unlinking this one",
+      });
+    }
+
+    user.identities.pull(identity._id);
+    await user.save();
+
+    return res.json({
+      message: "Provider unlinked",
+      identities: user.identities.map((i) => ({ provider: i.provider, email: i.email, linkedAt: i.linkedAt })),
+    });
+  } catch (error) {
+    console.error("Unlink OAuth provider error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  getOAuthProviders,
+  oauthStart,
+  oauthCallback,
+  exchangeOAuthCode,
+  linkOAuthProvider,
+  linkOAuthProviderRedirect,
+  unlinkOAuthProvider,
+};
@@ -1,7 +1,121 @@
+const mongoose = require("mongoose");
 const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
 const User = require("../models/User");
-const Notification = require("../models/Notification");
-const { sendPushToUser } = require("../utils/pushSender");
+const { notifyUser } = require("../utils/notify");
+const { hasPermission } = require("../config/permissions");
+const { activeUserFilter } = require("../utils/accountStatus");
+const {
+  canViewUserContent,
+  canViewUserContentById,
+  getHiddenAuthorIds,
+  visibleAuthorStages,
+} = require("../utils/privacy");
+const { getActiveMutes, isTextMuted, withoutMutedComments } = require("../utils/mutes");
+const {
+  getBlockedUserIdSet,
+  isBlockedBetween,
+  withoutBlockedComments,
+} = require("../utils/blocks");
+const { getFollowingIds } = require("../utils/followGraph");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { getScorer, rankPosts } = require("../utils/feedRanking");
+const { getAuthorAffinities } = require("../utils/affinity");
+const { resolveMentions } = require("../utils/mentions");
+const Timeline = require("../models/Timeline");
+const FeedSnapshot = require("../models/FeedSnapshot");
+const {
+  TIMELINE_RETENTION_MS,
+  queueFanOut,
+  removePostFromTimelines,
+} = require("../jobs/timeline");
+
+const FEED_MODES = ["following", "explore", "foryou"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// "For You" ranks posts from this window: mostly people you follow, topped up
+// with recent posts from everyone else
+const FOR_YOU_WINDOW_MS = 7 * DAY_MS;
+const FOR_YOU_FOLLOWING_POOL = 150;
+const FOR_YOU_EXPLORE_POOL = 50;
+// How long a ranking stays pageable
+const FOR_YOU_SNAPSHOT_TTL_MS = 30 * 60 * 1000;
+// Interactions older than this don't count toward affinity
+const AFFINITY_WINDOW_MS = 60 * DAY_MS;
+
+// Author and commenters, as every post listing returns them
+const populatePostUsers = (query) =>
+  query
+    .populate({
+      path: "user",
+      select: "fullName username avatar verifiedBadge",
+      options: { strictPopulate: false },
+    })
+    .populate({
+      path: "comments.user",
+      select: "_id fullName username avatar verifiedBadge",
+      options: { strictPopulate: false },
+    });
+
+// Drops posts whose author is gone and shapes the rest for the client
+const toPostList = (posts, blocked, mutes) =>
+  posts
+    .filter((post) => post.user)
+    .map((post) => {
+      const obj = post.toObject();
+      obj.likes = Array.isArray(obj.likes) ? obj.likes : [];
+      obj.comments = Array.isArray(obj.comments) ? obj.comments : [];
+      // Add userId field (original post.user ObjectId)
+      obj.userId = post.user && post.user._id ? post.user._id : post.user;
+      return withoutMutedComments(withoutBlockedComments(obj, blocked), mutes);
+    });
+
+// Keyset condition for posts after `cursor` in (createdAt, _id) descending
+// order; null if the cursor is not one we issued. Timeline entries pass
+// `idField` "post", as they are keyed by the post they point to.
+const afterPostCursor = (cursor, idField = "_id") => {
+  const decoded = decodeCursor(cursor);
+  if (!decoded || !mongoose.isValidObjectId(decoded.id) || isNaN(Date.parse(decoded.at))) {
+    return null;
+  }
+  const at = new Date(decoded.at);
+  // Cast here, as aggregations don't cast query values
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  return {
+    $or: [{ createdAt: { $lt: at } }, { createdAt: at, [idField]: { $lt: id } }],
+  };
+};
+
+// Loads posts by id with their users, in the order of `ids`
+const loadPostsInOrder = async (ids, filter = {}) => {
+  const posts = await populatePostUsers(Post.find({ _id: { $in: ids }, ...filter }));
+  const position = new Map(ids.map((id, index) => [String(id), index]));
+  return posts.sort((a, b) => position.get(String(a._id)) - position.get(String(b._id)));
+};
+
+// Posts matching `match`, newest first, leaving out authors `viewerId` may
+// not see (see visibleAuthorStages)
+const findVisiblePosts = async (viewerId, match, { skip = 0, limit }) => {
+  const rows = await Post.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...(await visibleAuthorStages(viewerId)),
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } },
+  ]);
+  return loadPostsInOrder(rows.map((row) => row._id));
+};
+
+// Counts the same posts; authors are checked once each rather than per post
+const countVisiblePosts = async (viewerId, match) => {
+  const [result] = await Post.aggregate([
+    { $match: match },
+    { $group: { _id: "$user", count: { $sum: 1 } } },
+    ...(await visibleAuthorStages(viewerId, "_id")),
+    { $group: { _id: null, total: { $sum: "$count" } } },
+  ]);
+  return result ? result.total : 0;
+};
 
 // @desc    Create a new post
 // @route   POST /api/posts
@@ -16,10 +130,13 @@ const createPost = async (req, res) => {
       user: req.user._id,
       content,
       image,
+      mentions: await resolveMentions(content),
     });
     await post.save();
     // Add post to user's posts array
     await User.findByIdAndUpdate(req.user._id, { $push: { posts: post._id } });
+    // Followers' timelines are written in the background
+    queueFanOut(post._id);
     res.status(201).json({ message: "Post created successfully", post });
   } catch (error) {
     console.error("Create post error:", error);
@@ -36,37 +153,21 @@ const getPosts = async (req, res) => {
     const limit = parseInt(req.query.limit || 10);
     const skip = (page - 1) * limit;
 
-   
-    const totalPosts = await Post.countDocuments();
+    // Skip deactivated, blocked, muted and private-but-unfollowed authors,
+    // and posts with muted keywords
+    const [blocked, mutes] = await Promise.all([
+      getBlockedUserIdSet(req.user?._id),
+      getActiveMutes(req.user?._id),
+    ]);
+    const filter = { user: { $nin: mutes.userIds } };
+    if (mutes.keywordRegex) filter.content = { $not: mutes.keywordRegex };
+    const totalPosts = await countVisiblePosts(req.user?._id, filter);
     const totalPages = Math.ceil(totalPosts / limit) || 1;
     const hasMore = page < totalPages;
 
-    const posts = await Post.find()
-      .populate({
-        path: "user",
-        select: "fullName username avatar isVerified",
-        options: { strictPopulate: false },
-      })
-      .populate({
-        path: "comments.user",
-        select: "_id fullName username avatar isVerified",
-        options: { strictPopulate: false },
-      })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    // Filter out posts with missing user (null after population)
-    const filteredPosts = posts
-      .filter((post) => post.user)
-      .map((post) => {
-        const obj = post.toObject();
-        obj.likes = Array.isArray(obj.likes) ? obj.likes : [];
-        obj.comments = Array.isArray(obj.comments) ? obj.comments : [];
-        // Add userId field (original post.user ObjectId)
-        obj.userId = post.user && post.user._id ? post.user._id : post.user;
-        return obj;
-      });
+    const posts = await findVisiblePosts(req.user?._id, filter, { skip, limit });
+
+    const filteredPosts = toPostList(posts, blocked, mutes);
 
     res.json({
       posts: filteredPosts,
@@ -87,6 +188,257 @@ const getPosts = async (req, res) => {
   }
 };
 
+// Following feed, read from the viewer's timeline (written on post creation by
+// jobs/timeline). Posts that weren't fanned out because their author had too
+// many followers are merged in straight from the posts collection, over the
+// same retention window. Past that window, pages come from the posts
+// collection directly. Entries from authors no longer followed are ignored,
+// in case a fan-out raced an unfollow.
+const sendFollowingFeed = async (req, res, { followingIds, blocked, mutes, limit }) => {
+  let afterEntry = {};
+  let afterPost = {};
+  if (req.query.cursor) {
+    afterEntry = afterPostCursor(req.query.cursor, "post");
+    afterPost = afterPostCursor(req.query.cursor);
+    if (!afterEntry) return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  const retainedSince = new Date(Date.now() - TIMELINE_RETENTION_MS);
+  const [entries, pulled] = await Promise.all([
+    Timeline.find({
+      user: req.user._id,
+      author: { $in: [req.user._id, ...followingIds] },
+      ...afterEntry,
+    })
+      .sort({ createdAt: -1, post: -1 })
+      .limit(limit + 1)
+      .select("post createdAt"),
+    followingIds.length
+      ? Post.find({
+          user: { $in: followingIds },
+          pulledOnRead: true,
+          createdAt: { $gte: retainedSince },
+          ...afterPost,
+        })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(limit + 1)
+          .select("createdAt")
+      : [],
+  ]);
+
+  // Both lists are newest first; merge them and drop posts present in both
+  const refs = new Map();
+  [
+    ...entries.map((entry) => ({ id: String(entry.post), at: entry.createdAt })),
+    ...pulled.map((post) => ({ id: String(post._id), at: post.createdAt })),
+  ].forEach((ref) => refs.set(ref.id, ref));
+  // Timelines ran out before the page filled up: continue with older posts
+  if (refs.size <= limit) {
+    const older = await Post.find({
+      user: { $in: [req.user._id, ...followingIds] },
+      createdAt: { $lt: retainedSince },
+      ...afterPost,
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select("createdAt");
+    older.forEach((post) => refs.set(String(post._id), { id: String(post._id), at: post.createdAt }));
+  }
+  const ordered = [...refs.values()]
+    .sort((a, b) => b.at - a.at || b.id.localeCompare(a.id))
+    .slice(0, limit + 1);
+  const hasMore = ordered.length > limit;
+  const page = ordered.slice(0, limit);
+  const last = page[page.length - 1];
+
+  // Muted keywords are applied here, so a page can come back a little short
+  const posts = await loadPostsInOrder(
+    page.map((ref) => ref.id),
+    mutes.keywordRegex ? { content: { $not: mutes.keywordRegex } } : {}
+  );
+
+  res.json({
+    mode: "following",
+    posts: toPostList(posts, blocked, mutes),
+    nextCursor: hasMore && last ? encodeCursor({ at: last.at.toISOString(), id: last.id }) : null,
+    hasMore,
+  });
+};
+
+// Ranks the "For You" candidate pool for the viewer as of `now`, best first
+const rankForYou = async (viewerId, { followingIds, mutes, now }) => {
+  const createdWithin = { $gte: new Date(now.getTime() - FOR_YOU_WINDOW_MS), $lte: now };
+  const contentFilter = mutes.keywordRegex ? { content: { $not: mutes.keywordRegex } } : {};
+  const [followedPosts, explorePosts] = await Promise.all([
+    populatePostUsers(
+      Post.find({ user: { $in: followingIds }, createdAt: createdWithin, ...contentFilter })
+    )
+      .sort({ createdAt: -1 })
+      .limit(FOR_YOU_FOLLOWING_POOL),
+    findVisiblePosts(
+      viewerId,
+      {
+        user: { $nin: [...mutes.userIds, ...followingIds, viewerId] },
+        createdAt: createdWithin,
+        ...contentFilter,
+      },
+      { limit: FOR_YOU_EXPLORE_POOL }
+    ),
+  ]);
+
+  const posts = [...followedPosts, ...explorePosts].filter((post) => post.user);
+  const following = new Set(followingIds.map(String));
+  const affinities = await getAuthorAffinities(
+    viewerId,
+    [...new Set(posts.map((post) => String(post.user._id)))].map(
+      (id) => new mongoose.Types.ObjectId(id)
+    ),
+    new Date(now.getTime() - AFFINITY_WINDOW_MS)
+  );
+
+  return rankPosts(
+    posts.map((post) => ({
+      post,
+      affinity: affinities.get(String(post.user._id)),
+      isFollowing: following.has(String(post.user._id)),
+    })),
+    { scorer: getScorer(process.env.FEED_SCORER), now }
+  );
+};
+
+// Ranked page of the "For You" feed. The first page ranks the pool once and
+// stores the order as a FeedSnapshot; the cursor points into that snapshot, so
+// later pages neither repeat nor skip posts however engagement moves.
+const sendForYouFeed = async (req, res, { followingIds, blocked, mutes, limit }) => {
+  let snapshot;
+  let offset = 0;
+  if (req.query.cursor) {
+    const decoded = decodeCursor(req.query.cursor);
+    if (
+      !decoded ||
+      !mongoose.isValidObjectId(decoded.snapshot) ||
+      !Number.isInteger(decoded.offset)
+    ) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    snapshot = await FeedSnapshot.findOne({ _id: decoded.snapshot, user: req.user._id });
+    if (!snapshot) {
+      return res.status(410).json({ error: "This feed has expired, load it again from the top" });
+    }
+    offset = Math.max(decoded.offset, 0);
+  } else {
+    const ranked = await rankForYou(req.user._id, { followingIds, mutes, now: new Date() });
+    snapshot = await FeedSnapshot.create({
+      user: req.user._id,
+      entries: ranked.map((entry) => ({
+        post: entry.post._id,
+        score: entry.score,
+        reason: entry.reason,
+      })),
+      expiresAt: new Date(Date.now() + FOR_YOU_SNAPSHOT_TTL_MS),
+    });
+  }
+
+  const page = snapshot.entries.slice(offset, offset + limit);
+  const hasMore = snapshot.entries.length > offset + limit;
+
+  // Posts deleted since the ranking, or whose authors were blocked, muted or
+  // hidden since, are left out, so a page can come back a little short
+  const posts = await loadPostsInOrder(page.map((entry) => entry.post));
+  const hidden = new Set(
+    (
+      await getHiddenAuthorIds(
+        req.user._id,
+        posts.filter((post) => post.user).map((post) => post.user._id)
+      )
+    ).map(String)
+  );
+  const visible = posts.filter(
+    (post) =>
+      post.user &&
+      !hidden.has(String(post.user._id)) &&
+      !mutes.userIdSet.has(String(post.user._id)) &&
+      !isTextMuted(post.content, mutes)
+  );
+  const entries = new Map(page.map((entry) => [String(entry.post), entry]));
+  const list = toPostList(visible, blocked, mutes).map((post) => {
+    const entry = entries.get(String(post._id));
+    return { ...post, score: Number(entry.score.toFixed(4)), reason: entry.reason };
+  });
+
+  res.json({
+    mode: "foryou",
+    posts: list,
+    nextCursor: hasMore
+      ? encodeCursor({ snapshot: String(snapshot._id), offset: offset + limit })
+      : null,
+    hasMore,
+  });
+};
+
+// @desc    Home feed: posts by people I follow plus my own (`mode=following`,
+//          the default), everyone's (`mode=explore`), or a ranked mix
+//          (`mode=foryou`). The chronological modes are newest first, with an
+//          opaque cursor so new posts don't shift the pages.
+// @route   GET /api/posts/feed
+// @access  Private
+const getFeed = async (req, res) => {
+  try {
+    const mode = req.query.mode || "following";
+    if (!FEED_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${FEED_MODES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    // Same hiding rules as the global listing
+    const [blocked, mutes] = await Promise.all([
+      getBlockedUserIdSet(req.user._id),
+      getActiveMutes(req.user._id),
+    ]);
+    let followingIds = [];
+    if (mode !== "explore") {
+      const allFollowingIds = await getFollowingIds(req.user._id);
+      const skipped = new Set(
+        [...(await getHiddenAuthorIds(req.user._id, allFollowingIds)), ...mutes.userIds].map(String)
+      );
+      followingIds = allFollowingIds.filter((id) => !skipped.has(String(id)));
+    }
+
+    if (mode === "foryou") {
+      return await sendForYouFeed(req, res, { followingIds, blocked, mutes, limit });
+    }
+    if (mode === "following") {
+      return await sendFollowingFeed(req, res, { followingIds, blocked, mutes, limit });
+    }
+
+    const filter = { user: { $nin: mutes.userIds } };
+    if (mutes.keywordRegex) filter.content = { $not: mutes.keywordRegex };
+    if (req.query.cursor) {
+      const after = afterPostCursor(req.query.cursor);
+      if (!after) return res.status(400).json({ error: "Invalid cursor" });
+      Object.assign(filter, after);
+    }
+
+    const posts = await findVisiblePosts(req.user._id, filter, { limit: limit + 1 });
+    const hasMore = posts.length > limit;
+    const page = posts.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      mode,
+      posts: toPostList(page, blocked, mutes),
+      nextCursor:
+        hasMore && last
+          ? encodeCursor({ at: last.createdAt.toISOString(), id: String(last._id) })
+          : null,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Get feed error:", error);
+    res.status(500).json({ error: "Server error while fetching feed" });
+  }
+};
+
 // @desc    Get all posts by username
 // @route   GET /api/posts/user/:username
 // @access  Public
@@ -95,10 +447,13 @@ const getPostsByUsername = async (req, res) => {
     const { username } = req.params;
     const { page = 1, limit = 10 } = req.query;
     
-    const user = await User.findOne({ username });
-    if (!user) {
+    const user = await User.findOne({ username, ...activeUserFilter() });
+    if (!user || (await isBlockedBetween(req.user?._id, user._id))) {
       return res.status(404).json({ error: "User not found" });
     }
+    if (!(await canViewUserContent(req.user?._id, user))) {
+      return res.status(403).json({ error: "This account is private", isPrivate: true });
+    }
 
     // Convert page and limit to numbers
     const pageNum = parseInt(page);
@@ -113,12 +468,12 @@ const getPostsByUsername = async (req, res) => {
     const posts = await Post.find({ user: user._id })
       .populate({
         path: "user",
-        select: "fullName username avatar isVerified",
+        select: "fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       })
       .populate({
         path: "comments.user",
-        select: "_id fullName username avatar isVerified",
+        select: "_id fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       })
       .sort({ createdAt: -1 })
@@ -126,10 +481,14 @@ const getPostsByUsername = async (req, res) => {
       .limit(limitNum);
 
     // Add userId to each post
+    const [blocked, mutes] = await Promise.all([
+      getBlockedUserIdSet(req.user?._id),
+      getActiveMutes(req.user?._id),
+    ]);
     const postsWithUserId = posts.map((post) => {
       const obj = post.toObject();
       obj.userId = post.user && post.user._id ? post.user._id : post.user;
-      return obj;
+      return withoutMutedComments(withoutBlockedComments(obj, blocked), mutes);
     });
 
     // Return posts with pagination metadata
@@ -162,16 +521,22 @@ const getPostById = async (req, res) => {
     const post = await Post.findById(postId)
       .populate({
         path: "user",
-        select: "fullName username avatar isVerified",
+        select: "fullName username avatar verifiedBadge",
+        // A deactivated author populates as null, which hides the post
+        match: activeUserFilter(),
         options: { strictPopulate: false },
       })
       .populate({
         path: "comments.user",
-        select: "_id fullName username avatar isVerified",
+        select: "_id fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       });
 
-    if (!post || !post.user) {
+    if (
+      !post ||
+      !post.user ||
+      !(await canViewUserContentById(req.user?._id, post.user._id))
+    ) {
       return res.status(404).json({ error: "Post not found" });
     }
 
@@ -181,6 +546,11 @@ const getPostById = async (req, res) => {
     postObject.comments = Array.isArray(postObject.comments)
       ? postObject.comments
       : [];
+    const [blocked, mutes] = await Promise.all([
+      getBlockedUserIdSet(req.user?._id),
+      getActiveMutes(req.user?._id),
+    ]);
+    withoutMutedComments(withoutBlockedComments(postObject, blocked), mutes);
 
     return res.json({ post: postObject });
   } catch (error) {
@@ -200,7 +570,9 @@ const likePost = async (req, res) => {
     const { postId } = req.params;
     const userId = req.user._id;
     let post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ error: "Post not found" });
+    if (!post || !(await canViewUserContentById(userId, post.user))) {
+      return res.status(404).json({ error: "Post not found" });
+    }
     const liked = post.likes.includes(userId);
     if (liked) {
       post.likes.pull(userId);
@@ -211,39 +583,33 @@ const likePost = async (req, res) => {
     post = await Post.findById(postId)
       .populate({
         path: "user",
-        select: "fullName username avatar isVerified",
+        select: "fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       })
       .populate({
         path: "comments.user",
-        select: "_id fullName username avatar isVerified",
+        select: "_id fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       });
-    // Emit real-time update
+    // Only the id goes out to everyone; clients refetch the post through
+    // GET /api/posts/:postId, which applies the viewer's visibility rules
     const io = req.app.get("io");
-    io.emit("postUpdated", post);
-    // Create notification for post owner (if not self)
-    if (post.user && post.user._id.toString() !== userId.toString() && !liked) {
-      const notification = await Notification.create({
-        user: post.user._id,
+    if (io) io.emit("postUpdated", { postId: post._id });
+    // Notify the post owner (skipped for self and blocked users)
+    if (post.user && !liked) {
+      await notifyUser({
+        io,
+        recipientId: post.user._id,
+        actor: req.user,
         type: "like",
-        from: userId,
         post: post._id,
         text: `${req.user.fullName} liked your post`,
-      });
-      console.log(
-        "[Socket.IO] Emitting LIKE notification to user:",
-        post.user._id.toString(),
-        notification
-      );
-
-      io.to(post.user._id.toString()).emit("notification", notification);
-      // Also send Web Push for LIKE
-      sendPushToUser(post.user._id, {
-        title: "New like",
-        body: `${req.user.fullName} liked your post`,
-        url: `/posts/${post._id}`,
-        tag: "mesh-like",
+        push: {
+          title: "New like",
+          body: `${req.user.fullName} liked your post`,
+          url: `/posts/${post._id}`,
+          tag: "mesh-like",
+        },
       });
     }
     res.json({
@@ -257,6 +623,101 @@ const likePost = async (req, res) => {
   }
 };
 
+// @desc    Edit a post (owner only). The previous version is kept as a revision.
+// @route   PUT /api/posts/:postId
+// @access  Private
+const updatePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { content, image } = req.body;
+    if (!content || content.trim() === "") {
+      return res.status(400).json({ error: "Content is required" });
+    }
+    if (!mongoose.isValidObjectId(postId)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+    let post = await Post.findById(postId);
+    if (!post) return res.status(404).json({ error: "Post not found" });
+    if (post.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Not authorized to edit this post" });
+    }
+
+    // Leaving out `image` keeps the current one; null or "" removes it
+    const nextImage = image === undefined ? post.image : image || undefined;
+    if (content === post.content && nextImage === post.image) {
+      return res.json({ message: "Post unchanged", post });
+    }
+
+    const previous = {
+      post: post._id,
+      content: post.content,
+      image: post.image,
+      createdAt: post.editedAt || post.createdAt,
+    };
+    post.content = content;
+    post.image = nextImage;
+    post.mentions = await resolveMentions(content);
+    post.edited = true;
+    post.editedAt = new Date();
+    // Hashtags are re-extracted on save
+    await post.save();
+    await PostRevision.create(previous);
+
+    post = await populatePostUsers(Post.findById(postId));
+    const io = req.app.get("io");
+    if (io) io.emit("postUpdated", { postId: post._id });
+    res.json({ message: "Post updated successfully", post });
+  } catch (error) {
+    console.error("Update post error:", error);
+    res.status(500).json({ error: "Server error while updating post" });
+  }
+};
+
+// @desc    Previous versions of an edited post, newest first
+// @route   GET /api/posts/:postId/revisions
+// @access  Public
+const getPostRevisions = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    if (!mongoose.isValidObjectId(postId)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+    const post = await Post.findById(postId)
+      .select("user content image edited editedAt createdAt")
+      .populate({
+        path: "user",
+        select: "_id",
+        // Same visibility as the post itself
+        match: activeUserFilter(),
+        options: { strictPopulate: false },
+      });
+    if (
+      !post ||
+      !post.user ||
+      !(await canViewUserContentById(req.user?._id, post.user._id))
+    ) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .sort({ createdAt: -1 })
+      .select("content image createdAt");
+    res.json({
+      current: {
+        content: post.content,
+        image: post.image,
+        createdAt: post.editedAt || post.createdAt,
+      },
+      edited: post.edited,
+      editedAt: post.editedAt,
+      revisions,
+    });
+  } catch (error) {
+    console.error("Get post revisions error:", error);
+    res.status(500).json({ error: "Server error while fetching post revisions" });
+  }
+};
+
 // @desc    Add a comment to a post
 // @route   POST /api/posts/:postId/comments
 // @access  Private
@@ -268,7 +729,9 @@ const addComment = async (req, res) => {
       return res.status(400).json({ error: "Comment text is required" });
     }
     let post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ error: "Post not found" });
+    if (!post || !(await canViewUserContentById(req.user._id, post.user))) {
+      return res.status(404).json({ error: "Post not found" });
+    }
     const comment = {
       user: req.user._id,
       text,
@@ -279,38 +742,32 @@ const addComment = async (req, res) => {
     post = await Post.findById(postId)
       .populate({
         path: "user",
-        select: "fullName username avatar isVerified",
+        select: "fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       })
       .populate({
         path: "comments.user",
-        select: "_id fullName username avatar isVerified",
+        select: "_id fullName username avatar verifiedBadge",
         options: { strictPopulate: false },
       });
-    // Emit real-time update
+    // Id only, as in likePost
     const io = req.app.get("io");
-    io.emit("postUpdated", post);
-    // Create notification for post owner (if not self)
-    if (post.user && post.user._id.toString() !== req.user._id.toString()) {
-      const notification = await Notification.create({
-        user: post.user._id,
+    if (io) io.emit("postUpdated", { postId: post._id });
+    // Notify the post owner (skipped for self and blocked users)
+    if (post.user) {
+      await notifyUser({
+        io,
+        recipientId: post.user._id,
+        actor: req.user,
         type: "comment",
-        from: req.user._id,
         post: post._id,
         text: `${req.user.fullName} commented: "${text}"`,
-      });
-      console.log(
-        "[Socket.IO] Emitting COMMENT notification to user:",
-        post.user._id.toString(),
-        notification
-      );
-      io.to(post.user._id.toString()).emit("notification", notification);
-      // Also send Web Push for COMMENT
-      sendPushToUser(post.user._id, {
-        title: "New comment",
-        body: `${req.user.fullName} commented on your post`,
-        url: `/posts/${post._id}`,
-        tag: "mesh-comment",
+        push: {
+          title: "New comment",
+          body: `${req.user.fullName} commented on your post`,
+          url: `/posts/${post._id}`,
+          tag: "mesh-comment",
+        },
       });
     }
     res.status(201).json({
@@ -326,13 +783,16 @@ const addComment = async (req, res) => {
 module.exports = {
   createPost,
   getPosts,
+  getFeed,
   getPostsByUsername,
   getPostById,
   likePost,
+  updatePost,
+  getPostRevisions,
   addComment,
 };
 
-// @desc    Delete a post (owner only)
+// @desc    Delete a post (owner, or moderators with posts:delete_any)
 // @route   DELETE /api/posts/:postId
 // @access  Private
 const deletePost = async (req, res) => {
@@ -341,12 +801,18 @@ const deletePost = async (req, res) => {
     const userId = req.user._id;
     const post = await Post.findById(postId);
     if (!post) return res.status(404).json({ error: "Post not found" });
-    if (post.user.toString() !== userId.toString()) {
+    const isOwner = post.user.toString() === userId.toString();
+    // Moderation rights are never granted through a personal access token
+    const canModerate =
+      !req.accessToken && hasPermission(req.user.role, "posts:delete_any");
+    if (!isOwner && !canModerate) {
       return res.status(403).json({ error: "Not authorized to delete this post" });
     }
     await Post.deleteOne({ _id: postId });
-    // Remove from user's posts array if stored
-    await User.findByIdAndUpdate(userId, { $pull: { posts: postId } }).catch(() => {});
+    await removePostFromTimelines(post._id);
+    await PostRevision.deleteMany({ post: post._id });
+    // Remove from the author's posts array if stored
+    await User.findByIdAndUpdate(post.user, { $pull: { posts: postId } }).catch(() => {});
     // Emit real-time deletion
     const io = req.app.get("io");
     if (io) io.emit("postDeleted", { postId });
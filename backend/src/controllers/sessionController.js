@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { revokeSession } = require("../utils/authTokens");
+
+// @desc    List active sessions (devices) for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    return res.json({
+      sessions: sessions.map((s) => ({
+        _id: s._id,
+        userAgent: s.userAgent || "",
+        ip: s.ip || "",
+        createdAt: s.createdAt,
+        lastSeenAt: s.lastSeenAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// @desc    Sign out a single device by revoking its session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    await revokeSession(session._id);
+
+    return res.json({
+      message: "Session revoked",
+      current: String(session._id) === String(req.sessionId),
+    });
+  } catch (error) {
+    console.error("Delete session error:", error);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+module.exports = {
+  getSessions,
+  deleteSession,
+};
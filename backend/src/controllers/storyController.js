@@ -1,4 +1,6 @@
 const Story = require("../models/Story");
+const { canViewUserContentById, getHiddenAuthorIds } = require("../utils/privacy");
+const { getActiveMutes } = require("../utils/mutes");
 
 const ACTIVE_STORY_WINDOW_MS = 24 * 60 * 60 * 1000;
 
@@ -28,10 +30,27 @@ const toStoryPayload = (story, viewerId) => {
 const getStories = async (req, res) => {
   try {
     const now = new Date();
-    const stories = await Story.find({ expiresAt: { $gt: now } })
-      .populate("user", "username fullName avatar isVerified")
+    const mutes = await getActiveMutes(req.user._id);
+    const filter = {
+      expiresAt: { $gt: now },
+      user: { $nin: mutes.userIds },
+    };
+    if (mutes.keywordRegex) filter.caption = { $not: mutes.keywordRegex };
+    const activeStories = await Story.find(filter)
+      .populate("user", "username fullName avatar verifiedBadge")
       .sort({ createdAt: -1 });
 
+    // Only the authors with an active story need checking
+    const authorIds = [
+      ...new Set(activeStories.filter((story) => story.user).map((story) => String(story.user._id))),
+    ];
+    const hiddenAuthorIds = new Set(
+      (await getHiddenAuthorIds(req.user._id, authorIds)).map(String)
+    );
+    const stories = activeStories.filter(
+      (story) => story.user && !hiddenAuthorIds.has(String(story.user._id))
+    );
+
     const groupedMap = new Map();
 
     for (const story of stories) {
@@ -44,7 +63,7 @@ const getStories = async (req, res) => {
             username: story.user.username,
             fullName: story.user.fullName,
             avatar: story.user.avatar,
-            isVerified: !!story.user.isVerified,
+            verifiedBadge: !!story.user.verifiedBadge,
           },
           stories: [],
           latestCreatedAt: story.createdAt,
@@ -107,7 +126,7 @@ const createStory = async (req, res) => {
       expiresAt: new Date(Date.now() + ACTIVE_STORY_WINDOW_MS),
     });
 
-    await story.populate("user", "username fullName avatar isVerified");
+    await story.populate("user", "username fullName avatar verifiedBadge");
 
     const payload = {
       user: {
@@ -115,15 +134,16 @@ const createStory = async (req, res) => {
         username: story.user.username,
         fullName: story.user.fullName,
         avatar: story.user.avatar,
-        isVerified: !!story.user.isVerified,
+        verifiedBadge: !!story.user.verifiedBadge,
       },
       stories: [toStoryPayload(story, req.user._id)],
       latestCreatedAt: story.createdAt,
       hasUnviewed: false,
     };
 
+    // Ids only, as for posts: GET /api/posts/stories filters what each viewer sees
     const io = req.app.get("io");
-    if (io) io.emit("storyCreated", payload);
+    if (io) io.emit("storyCreated", { storyId: story._id });
 
     return res.status(201).json({ story: payload });
   } catch (error) {
@@ -143,7 +163,7 @@ const markStoryViewed = async (req, res) => {
       expiresAt: { $gt: new Date() },
     });
 
-    if (!story) {
+    if (!story || !(await canViewUserContentById(req.user._id, story.user))) {
       return res.status(404).json({ error: "Story not found" });
     }
 
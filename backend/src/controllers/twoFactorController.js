@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  hashToken,
+  verifyTwoFactorChallenge,
+} = require("../utils/authTokens");
+const { completeLogin, rejectPurgingLogin } = require("../utils/completeLogin");
+const {
+  LIMITS,
+  throttleKey,
+  getRetryAfter,
+  registerFailure,
+  clearFailures,
+  rejectThrottled,
+  sendLockoutEmail,
+} = require("../utils/authThrottle");
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS =
+  "+password +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Returns plaintext codes (shown once) and their hashes (stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Checks a TOTP code or a recovery code and consumes it. The caller saves the user.
+const consumeSecondFactor = (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step !== null) {
+    if (user.twoFactorLastUsedStep != null && step <= user.twoFactorLastUsedStep) {
+      return false;
+    }
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const idx = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+  if (idx === -1) return false;
+  user.twoFactorRecoveryCodes.splice(idx, 1);
+  return true;
+};
+
+// @desc    Start 2FA enrollment; returns an otpauth URI for the authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    return res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email || user.username }),
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    return res.status(500).json({ error: "Server error during 2FA setup" });
+  }
+};
+
+// @desc    Confirm enrollment with a first code; returns recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ error: "Start two-factor setup first" });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body?.code);
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+
+    return res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    return res.status(500).json({ error: "Server error while enabling 2FA" });
+  }
+};
+
+// @desc    Disable 2FA. Requires the password, or a code for OAuth-only accounts.
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const confirmed = user.password
+      ? await user.comparePassword(String(password || ""))
+      : consumeSecondFactor(user, code);
+    if (!confirmed) {
+      return res.status(401).json({
+        error: user.password ? "Incorrect password" : "Invalid verification code",
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    return res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    return res.status(500).json({ error: "Server error while disabling 2FA" });
+  }
+};
+
+// @desc    Second login step: trade a challenge token plus a code for a session
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: "Login challenge is invalid or has expired" });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: "Login challenge is invalid or has expired" });
+    }
+
+    const accountKey = throttleKey("2fa", "user", user._id);
+    const retryAfter = await getRetryAfter([accountKey]);
+    if (retryAfter) {
+      return rejectThrottled(res, retryAfter);
+    }
+
+    if (!consumeSecondFactor(user, code)) {
+      const result = await registerFailure(accountKey, LIMITS.account);
+      if (result.newlyLocked) sendLockoutEmail(user, result.lockedUntil);
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+    await clearFailures([accountKey]);
+
+    const result = await completeLogin(user, req, { secondFactorVerified: true });
+    if (!result) return rejectPurgingLogin(res);
+
+    return res.json({
+      ...result,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    return res.status(500).json({ error: "Server error during 2FA verification" });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
+};
@@ -0,0 +1,158 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Story = require("../models/Story");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const PushSubscription = require("../models/PushSubscription");
+const Session = require("../models/Session");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const AuthCode = require("../models/AuthCode");
+const FollowRequest = require("../models/FollowRequest");
+const Block = require("../models/Block");
+const Mute = require("../models/Mute");
+const SuggestionDismissal = require("../models/SuggestionDismissal");
+const Timeline = require("../models/Timeline");
+const FeedSnapshot = require("../models/FeedSnapshot");
+const PostRevision = require("../models/PostRevision");
+const { throttleKey, clearFailures } = require("../utils/authThrottle");
+const { removeAllFollows } = require("../utils/followGraph");
+const { removeExportFiles } = require("./dataExport");
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+// A purge that throws is retried after an hour, then twice as long after each
+// further failure, so one broken account can't hold up everyone after it
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+const deferPurge = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { purgeFailures: 1 } },
+    { new: true }
+  ).select("+purgeFailures");
+  if (!user) return;
+  const delay = Math.min(SWEEP_INTERVAL_MS * 2 ** (user.purgeFailures - 1), MAX_RETRY_DELAY_MS);
+  await User.updateOne({ _id: userId }, { purgeRetryAt: new Date(Date.now() + delay) });
+};
+
+// Marks the account as being purged, if its deletion is still due. Once
+// claimed, a login can no longer cancel the deletion, so the content is never
+// removed from an account that stays. An earlier claim is kept, so a purge
+// that failed halfway is resumed.
+const claimForPurge = async (userId) => {
+  if (await User.exists({ _id: userId, purgingAt: { $ne: null } })) return true;
+  const claimed = await User.findOneAndUpdate(
+    { _id: userId, deletionScheduledAt: { $lte: new Date() }, purgingAt: null },
+    { purgingAt: new Date() }
+  ).select("_id");
+  return !!claimed;
+};
+
+// Removes everything that belongs to or points at the user, then the user.
+// Every step is idempotent, so a sweep that fails halfway is finished by the next one.
+// Returns false if the deletion was cancelled before it could start.
+const purgeUser = async (user) => {
+  const userId = user._id;
+  if (!(await claimForPurge(userId))) return false;
+  const postIds = (await Post.find({ user: userId }).select("_id")).map((p) => p._id);
+
+  // Their own content
+  await Post.deleteMany({ user: userId });
+  await PostRevision.deleteMany({ post: { $in: postIds } });
+  await Story.deleteMany({ user: userId });
+  await Message.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] });
+
+  // Their traces on other people's content
+  await Post.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  await Post.updateMany(
+    { "comments.user": userId },
+    { $pull: { comments: { user: userId } } }
+  );
+  await Story.updateMany(
+    { "views.user": userId },
+    { $pull: { views: { user: userId } } }
+  );
+  await Message.updateMany(
+    { "reactions.user": userId },
+    { $pull: { reactions: { user: userId } } }
+  );
+
+  await Notification.deleteMany({
+    $or: [{ user: userId }, { from: userId }, { post: { $in: postIds } }],
+  });
+  await User.updateMany(
+    { savedPosts: { $in: postIds } },
+    { $pull: { savedPosts: { $in: postIds } } }
+  );
+
+  await removeAllFollows(userId);
+  await Timeline.deleteMany({ $or: [{ user: userId }, { author: userId }] });
+  await FeedSnapshot.deleteMany({ user: userId });
+
+  await FollowRequest.deleteMany({ $or: [{ from: userId }, { to: userId }] });
+  await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+  await Mute.deleteMany({ $or: [{ user: userId }, { mutedUser: userId }] });
+  await SuggestionDismissal.deleteMany({ $or: [{ user: userId }, { dismissed: userId }] });
+
+  // Credentials and devices
+  await PushSubscription.deleteMany({ userId });
+  await Session.deleteMany({ user: userId });
+  await PersonalAccessToken.deleteMany({ user: userId });
+  await AuthCode.deleteMany({ user: userId });
+  await removeExportFiles({ user: userId });
+  await clearFailures([
+    throttleKey("login", "user", userId),
+    throttleKey("2fa", "user", userId),
+    throttleKey("login", "id", user.email),
+    throttleKey("login", "id", user.username),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+  return true;
+};
+
+let running = false;
+
+const runAccountDeletionSweep = async () => {
+  if (running) return;
+  running = true;
+  try {
+    for (;;) {
+      const now = new Date();
+      const due = await User.find({
+        $and: [
+          { $or: [{ deletionScheduledAt: { $lte: now } }, { purgingAt: { $ne: null } }] },
+          { $or: [{ purgeRetryAt: null }, { purgeRetryAt: { $lte: now } }] },
+        ],
+      })
+        .select("_id email username")
+        .limit(BATCH_SIZE);
+      if (!due.length) break;
+
+      let handled = 0;
+      for (const user of due) {
+        try {
+          // A login may have cancelled the deletion since the batch was read
+          if (!(await purgeUser(user))) continue;
+          console.log(`[accountDeletion] deleted user ${user._id}`);
+        } catch (error) {
+          console.error(`[accountDeletion] purging user ${user._id} failed:`, error);
+          await deferPurge(user._id);
+        }
+        handled += 1;
+      }
+      if (!handled) break;
+    }
+  } catch (error) {
+    console.error("[accountDeletion] sweep failed:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const startAccountDeletionJob = () => {
+  runAccountDeletionSweep();
+  return setInterval(runAccountDeletionSweep, SWEEP_INTERVAL_MS);
+};
+
+module.exports = { purgeUser, runAccountDeletionSweep, startAccountDeletionJob };
@@ -0,0 +1,282 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const archiver = require("archiver");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+const Story = require("../models/Story");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const DataExport = require("../models/DataExport");
+const { sendMail } = require("../utils/mailer");
+const { getFollowerIds, getFollowingIds } = require("../utils/followGraph");
+const { isMediaUrl, downloadMedia } = require("../utils/mediaFetch");
+
+const DEFAULT_TTL_DAYS = 3;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// An export still "processing" after this long was cut off by a restart
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+const MEDIA_TIMEOUT_MS = 30 * 1000;
+const MAX_MEDIA_BYTES = 100 * 1024 * 1024;
+
+// Archives are downloaded through whichever instance serves the request, so
+// with more than one instance (or a temp folder cleared on restart) EXPORT_DIR
+// must be storage they all share. The temp default suits a single dev server.
+const getExportDir = () =>
+  process.env.EXPORT_DIR || path.join(os.tmpdir(), "mesh-exports");
+
+const getTtlDays = () => {
+  const days = Number(process.env.DATA_EXPORT_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS;
+};
+
+const USER_SUMMARY = "username fullName avatar";
+
+// Everything the user owns or wrote, as plain JSON documents
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [followerIds, followingIds] = await Promise.all([
+    getFollowerIds(userId),
+    getFollowingIds(userId),
+  ]);
+  const [posts, commented, stories, messages, notifications, followers, following] =
+    await Promise.all([
+      Post.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      Post.find({ "comments.user": userId }).select("user comments").lean(),
+      Story.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      Message.find({ $or: [{ sender: userId }, { recipient: userId }] })
+        .sort({ createdAt: 1 })
+        .populate("sender", USER_SUMMARY)
+        .populate("recipient", USER_SUMMARY)
+        .lean(),
+      Notification.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .populate("from", USER_SUMMARY)
+        .lean(),
+      User.find({ _id: { $in: followerIds } }).select(USER_SUMMARY).lean(),
+      User.find({ _id: { $in: followingIds } }).select(USER_SUMMARY).lean(),
+    ]);
+
+  const revisions = await PostRevision.find({ post: { $in: posts.map((p) => p._id) } })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const comments = [];
+  for (const post of commented) {
+    for (const comment of post.comments || []) {
+      if (String(comment.user) !== String(userId)) continue;
+      comments.push({
+        _id: comment._id,
+        post: post._id,
+        postAuthor: post.user,
+        text: comment.text,
+        createdAt: comment.createdAt,
+      });
+    }
+  }
+
+  const profile = {
+    ...user.getPublicProfile(),
+    email: user.email,
+    identities: (user.identities || []).map((i) => ({
+      provider: i.provider,
+      email: i.email,
+      linkedAt: i.linkedAt,
+    })),
+  };
+  delete profile.notifications;
+
+  return {
+    user,
+    files: {
+      "profile.json": profile,
+      "posts.json": posts,
+      "post-revisions.json": revisions,
+      "comments.json": comments,
+      "stories.json": stories,
+      "messages.json": messages,
+      "followers.json": followers,
+      "following.json": following,
+      "notifications.json": notifications,
+    },
+    // Media the user uploaded, as [archive folder, name, url]
+    media: [
+      ["profile", "avatar", user.avatar],
+      ["profile", "cover", user.cover !== User.schema.path("cover").defaultValue ? user.cover : null],
+      ...posts.map((p) => ["posts", String(p._id), p.image]),
+      ...stories.map((s) => ["stories", String(s._id), s.mediaUrl]),
+      ...messages
+        .filter((m) => String(m.sender?._id || m.sender) === String(userId))
+        .flatMap((m) => [
+          ["messages", `${m._id}-image`, m.imageUrl],
+          ["messages", `${m._id}-audio`, m.audioUrl],
+          ["messages", `${m._id}-video`, m.videoUrl],
+        ]),
+    ].filter(([, , url]) => url && /^https?:\/\//i.test(url)),
+  };
+};
+
+const writeArchive = async (filePath, { files, media }) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const closed = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+
+  for (const [name, data] of Object.entries(files)) {
+    archive.append(JSON.stringify(data, null, 2), { name });
+  }
+
+  // One file at a time keeps memory bounded; failures are listed, not fatal.
+  // Only files in our own media storage are copied; any other URL a user set
+  // is listed as-is and never fetched.
+  const mediaIndex = [];
+  for (const [folder, baseName, url] of media) {
+    if (!isMediaUrl(url)) {
+      mediaIndex.push({ url, external: true });
+      continue;
+    }
+    try {
+      const ext = path.extname(new URL(url).pathname).slice(0, 6);
+      const name = `media/${folder}/${baseName}${ext}`;
+      archive.append(
+        await downloadMedia(url, { timeoutMs: MEDIA_TIMEOUT_MS, maxBytes: MAX_MEDIA_BYTES }),
+        { name }
+      );
+      mediaIndex.push({ url, file: name });
+    } catch (error) {
+      mediaIndex.push({ url, error: error.message });
+    }
+  }
+  archive.append(JSON.stringify(mediaIndex, null, 2), { name: "media.json" });
+
+  await archive.finalize();
+  await closed;
+  return archive.pointer();
+};
+
+const notifyExportReady = async (user, dataExport, io) => {
+  const notification = await Notification.create({
+    user: user._id,
+    type: "data_export",
+    from: user._id,
+    text: "Your data export is ready to download",
+  });
+  if (io) io.to(user._id.toString()).emit("notification", notification);
+
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const expires = dataExport.expiresAt.toUTCString();
+    const subject = "Your Mesh data export is ready";
+    const text = [
+      `Hello ${user.fullName || user.username},`,
+      "",
+      "The copy of your Mesh data you asked for is ready.",
+      `Sign in and download it from your settings: ${frontendUrl}/settings`,
+      "",
+      `The download is available until ${expires}.`,
+    ].join("\n");
+
+    const html = `
+      <p>Hello ${user.fullName || user.username},</p>
+      <p>The copy of your Mesh data you asked for is ready.</p>
+      <p><a href="${frontendUrl}/settings">Sign in and download it from your settings</a>.</p>
+      <p>The download is available until ${expires}.</p>
+    `;
+
+    await sendMail({ to: user.email, subject, text, html });
+  } catch (err) {
+    console.error("[dataExport] failed to send email:", err?.message || err);
+  }
+};
+
+// Builds the archive for a pending export. Safe to call for an export that is
+// already being built elsewhere: only one caller wins the claim.
+const buildDataExport = async (exportId, { io } = {}) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { status: "processing", startedAt: new Date() },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  const dir = getExportDir();
+  const filePath = path.join(dir, `${dataExport._id}.zip`);
+  try {
+    const data = await collectUserData(dataExport.user);
+    if (!data) throw new Error("User no longer exists");
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const sizeBytes = await writeArchive(filePath, data);
+
+    dataExport.status = "ready";
+    dataExport.filePath = filePath;
+    dataExport.sizeBytes = sizeBytes;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + getTtlDays() * 24 * 60 * 60 * 1000);
+    await dataExport.save();
+
+    await notifyExportReady(data.user, dataExport, io);
+  } catch (error) {
+    console.error("[dataExport] build failed:", error);
+    await fs.promises.rm(filePath, { force: true }).catch(() => {});
+    dataExport.status = "failed";
+    dataExport.error = "Export could not be created";
+    dataExport.expiresAt = new Date(Date.now() + getTtlDays() * 24 * 60 * 60 * 1000);
+    await dataExport.save().catch(() => {});
+  }
+};
+
+const removeExportFiles = async (query) => {
+  const exports = await DataExport.find(query).select("+filePath");
+  for (const dataExport of exports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    await DataExport.deleteOne({ _id: dataExport._id });
+  }
+};
+
+// Removes expired archives and requeues exports interrupted by a restart
+const sweepDataExports = async ({ io } = {}) => {
+  try {
+    await removeExportFiles({ expiresAt: { $lte: new Date() } });
+
+    await DataExport.updateMany(
+      {
+        status: "processing",
+        startedAt: { $lte: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { status: "pending" }
+    );
+    const pending = await DataExport.find({ status: "pending" }).select("_id");
+    for (const dataExport of pending) {
+      await buildDataExport(dataExport._id, { io });
+    }
+  } catch (error) {
+    console.error("[dataExport] sweep failed:", error);
+  }
+};
+
+const startDataExportJob = (io) => {
+  if (!process.env.EXPORT_DIR && process.env.NODE_ENV === "production") {
+    console.warn(
+      "[dataExport] EXPORT_DIR is not set; archives go to the local temp folder and only this instance can serve them"
+    );
+  }
+  sweepDataExports({ io });
+  return setInterval(() => sweepDataExports({ io }), SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  buildDataExport,
+  removeExportFiles,
+  sweepDataExports,
+  startDataExportJob,
+};
@@ -0,0 +1,158 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Follow = require("../models/Follow");
+const Timeline = require("../models/Timeline");
+
+const DEFAULT_FANOUT_MAX_FOLLOWERS = 5000;
+const INSERT_BATCH_SIZE = 1000;
+// Entries expire this long after their post was created; the following feed
+// reads anything older straight from the posts collection
+const TIMELINE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// A new follow copies this many of the author's retained posts
+const BACKFILL_POSTS = 100;
+// The sweep retries fan-outs that didn't finish (e.g. a restart mid-way)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_GRACE_MS = 60 * 1000;
+const SWEEP_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 50;
+
+// Authors with more followers than this are not fanned out; their posts are
+// marked `pulledOnRead` and read from the posts collection when a follower
+// loads the feed instead
+const getFanOutMaxFollowers = () => {
+  const max = Number(process.env.TIMELINE_FANOUT_MAX_FOLLOWERS);
+  return Number.isFinite(max) && max >= 0 ? max : DEFAULT_FANOUT_MAX_FOLLOWERS;
+};
+
+const entryFor = (userId, post) => ({
+  user: userId,
+  post: post._id,
+  author: post.user,
+  createdAt: post.createdAt,
+  expiresAt: new Date(post.createdAt.getTime() + TIMELINE_RETENTION_MS),
+});
+
+// Entries that already exist are skipped, so every write here is idempotent
+const insertEntries = async (entries) => {
+  if (!entries.length) return;
+  try {
+    await Timeline.insertMany(entries, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some((e) => (e.code || e.err?.code) !== 11000)) {
+      throw error;
+    }
+  }
+};
+
+// Writes the post to its author's timeline and, unless the author has too many
+// followers, to every follower's
+const fanOutPost = async (postId) => {
+  const post = await Post.findById(postId).select("user createdAt fannedOutAt");
+  if (!post || post.fannedOutAt) return;
+
+  await insertEntries([entryFor(post.user, post)]);
+
+  const author = await User.findById(post.user).select("followerCount");
+  // Decided once per post: if the author later drops under the limit, these
+  // posts are still pulled rather than lost
+  const pulledOnRead = !!author && author.followerCount > getFanOutMaxFollowers();
+  if (author && !pulledOnRead) {
+    let batch = [];
+    const cursor = Follow.find({ following: post.user }).select("follower").cursor();
+    for await (const follow of cursor) {
+      batch.push(entryFor(follow.follower, post));
+      if (batch.length >= INSERT_BATCH_SIZE) {
+        await insertEntries(batch);
+        batch = [];
+      }
+    }
+    await insertEntries(batch);
+  }
+
+  await Post.updateOne({ _id: post._id }, { fannedOutAt: new Date(), pulledOnRead });
+  // Deleted while we were writing: take the entries back out
+  if (!(await Post.exists({ _id: post._id }))) {
+    await Timeline.deleteMany({ post: post._id });
+  }
+};
+
+// Copies the author's recent posts into a new follower's timeline. This is a
+// single timeline, so it runs whatever the author's reach; posts that are
+// also pulled on read are merged once in the feed.
+const backfillTimeline = async (followerId, authorId) => {
+  const posts = await Post.find({
+    user: authorId,
+    createdAt: { $gte: new Date(Date.now() - TIMELINE_RETENTION_MS) },
+  })
+    .sort({ createdAt: -1 })
+    .limit(BACKFILL_POSTS)
+    .select("user createdAt");
+  await insertEntries(posts.map((post) => entryFor(followerId, post)));
+};
+
+const removeAuthorFromTimeline = (userId, authorId) =>
+  Timeline.deleteMany({ user: userId, author: authorId });
+
+const removePostFromTimelines = (postId) => Timeline.deleteMany({ post: postId });
+
+// Fire-and-forget wrappers for request handlers; the sweep catches any fan-out
+// that fails, and the feed only shows entries from authors still followed
+const runInBackground = (label, task) => {
+  setImmediate(() => {
+    task().catch((error) => console.error(`[timeline] ${label} failed:`, error));
+  });
+};
+
+const queueFanOut = (postId) => runInBackground(`fan-out of ${postId}`, () => fanOutPost(postId));
+
+const queueBackfill = (followerId, authorId) =>
+  runInBackground(`backfill for ${followerId}`, () => backfillTimeline(followerId, authorId));
+
+const queueAuthorRemoval = (userId, authorId) =>
+  runInBackground(`removal for ${userId}`, () => removeAuthorFromTimeline(userId, authorId));
+
+let running = false;
+
+const runTimelineSweep = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const now = Date.now();
+    const pending = await Post.find({
+      fannedOutAt: null,
+      createdAt: {
+        $gte: new Date(now - SWEEP_WINDOW_MS),
+        $lte: new Date(now - SWEEP_GRACE_MS),
+      },
+    })
+      .select("_id")
+      .limit(SWEEP_BATCH_SIZE);
+    for (const post of pending) {
+      await fanOutPost(post._id);
+    }
+  } catch (error) {
+    console.error("[timeline] sweep failed:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const startTimelineJob = () => {
+  runTimelineSweep();
+  return setInterval(runTimelineSweep, SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  TIMELINE_RETENTION_MS,
+  getFanOutMaxFollowers,
+  fanOutPost,
+  backfillTimeline,
+  removeAuthorFromTimeline,
+  removePostFromTimelines,
+  queueFanOut,
+  queueBackfill,
+  queueAuthorRemoval,
+  runTimelineSweep,
+  startTimelineJob,
+};
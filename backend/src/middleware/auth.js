@@ -1,7 +1,48 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { hasPermission } = require("../config/permissions");
+const {
+  findActiveSession,
+  touchSession,
+  isPersonalAccessToken,
+  findActivePersonalAccessToken,
+  touchPersonalAccessToken,
+} = require("../utils/authTokens");
 
-const auth = async (req, res, next) => {
+// Personal access tokens only work on routes that declare the scope they need
+const authenticatePersonalAccessToken = async (token, requiredScope, req, res, next) => {
+  if (!requiredScope) {
+    return res.status(403).json({
+      error: "Personal access tokens cannot be used for this endpoint.",
+    });
+  }
+
+  const accessToken = await findActivePersonalAccessToken(token);
+  if (!accessToken) {
+    return res.status(401).json({ error: "Invalid, expired or revoked access token." });
+  }
+  if (!accessToken.scopes.includes(requiredScope)) {
+    return res
+      .status(403)
+      .json({ error: `Access token is missing the "${requiredScope}" scope.` });
+  }
+
+  const user = await User.findOne({ _id: accessToken.user, deactivatedAt: null }).select(
+    "-password"
+  );
+  if (!user) {
+    return res.status(401).json({ error: "Invalid token. User not found." });
+  }
+
+  req.user = user;
+  req.accessToken = { _id: accessToken._id, scopes: accessToken.scopes };
+  touchPersonalAccessToken(accessToken, req).catch((err) =>
+    console.warn("[auth] failed to update token last used:", err?.message || err)
+  );
+  next();
+};
+
+const authenticate = (requiredScope = null) => async (req, res, next) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
 
@@ -11,7 +52,16 @@ const auth = async (req, res, next) => {
         .json({ error: "Access denied. No token provided." });
     }
 
+    if (isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(token, requiredScope, req, res, next);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await findActiveSession(decoded.sid);
+    if (!session || String(session.user) !== String(decoded.userId)) {
+      return res.status(401).json({ error: "Session expired or revoked." });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
@@ -19,6 +69,10 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
+    touchSession(session, req).catch((err) =>
+      console.warn("[auth] failed to update session last seen:", err?.message || err)
+    );
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -31,6 +85,12 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Session-only auth: the logged-in user's JWT
+const auth = authenticate();
+
+// Session JWT, or a personal access token that has been granted `scope`
+const scopedAuth = (scope) => authenticate(scope);
+
 // Optional auth middleware (doesn't require token but adds user if present)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -38,9 +98,14 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select("-password");
+      const session = await findActiveSession(decoded.sid);
+      const user =
+        session && String(session.user) === String(decoded.userId)
+          ? await User.findById(decoded.userId).select("-password")
+          : null;
       if (user) {
         req.user = user;
+        req.sessionId = session._id;
       }
     }
 
@@ -51,4 +116,35 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+// Blocks unverified accounts from creating content when REQUIRE_EMAIL_VERIFICATION=true
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") return next();
+  if (req.user && req.user.isVerified) return next();
+  return res
+    .status(403)
+    .json({ error: "Please verify your email address first." });
+};
+
+// Role-based check; use after `auth`. Personal access tokens never carry
+// moderator or admin rights, whatever the owner's role.
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res
+      .status(401)
+      .json({ error: "Access denied. No token provided." });
+  }
+  if (req.accessToken || !hasPermission(req.user.role, permission)) {
+    return res
+      .status(403)
+      .json({ error: "You do not have permission to perform this action." });
+  }
+  next();
+};
+
+module.exports = {
+  auth,
+  scopedAuth,
+  optionalAuth,
+  authorize,
+  requireVerifiedEmail,
+};
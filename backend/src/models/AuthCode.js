@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Single-use codes that stand in for credentials in a URL: "exchange" codes
+// are handed to the frontend after an OAuth redirect and redeemed for real
+// tokens; "link" tickets carry a signed-in user into a top-level navigation
+// that starts linking `provider`
+const authCodeSchema = new mongoose.Schema(
+  {
+    purpose: {
+      type: String,
+      enum: ["exchange", "link"],
+      default: "exchange",
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthCode", authCodeSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// `blocker` no longer sees or hears from `blocked`, and vice versa
+const blockSchema = new mongoose.Schema(
+  {
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+module.exports = mongoose.model("Block", blockSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A "download my data" archive. The zip lives in EXPORT_DIR (shared storage) until
+// `expiresAt`, when the sweeper in src/jobs/dataExport.js removes file and record.
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    // Absolute path of the zip; never sent to clients
+    filePath: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    sizeBytes: {
+      type: Number,
+      default: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One ranking of the "For You" feed, kept so every page of it comes from the
+// same order: the first page ranks and stores it, the cursor points back here.
+// Removed by the TTL index once `expiresAt` passes.
+const feedSnapshotSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Ranked best first, with the score and reason shown for each
+    entries: {
+      type: [
+        {
+          _id: false,
+          post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+          score: { type: Number, required: true },
+          reason: { type: String, default: "" },
+        },
+      ],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("FeedSnapshot", feedSnapshotSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One edge of the follow graph: `follower` follows `following`. Counters on
+// User are kept in step by src/utils/followGraph.js; never write these directly.
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Follow", followSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Pending request to follow a private account. Approving it turns it into a
+// regular follow; rejecting or cancelling deletes it.
+const followRequestSchema = new mongoose.Schema(
+  {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+followRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+followRequestSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model("FollowRequest", followRequestSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Something `user` doesn't want to see: an account or a keyword/hashtag.
+// The muted account is never told. Expired mutes are removed by the TTL index.
+const muteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: ["user", "keyword"],
+      required: true,
+    },
+    mutedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Lowercased word, phrase or #hashtag
+    keyword: {
+      type: String,
+      default: null,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+    },
+    // null mutes until removed
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+muteSchema.index(
+  { user: 1, mutedUser: 1 },
+  { unique: true, partialFilterExpression: { kind: "user" } }
+);
+muteSchema.index(
+  { user: 1, keyword: 1 },
+  { unique: true, partialFilterExpression: { kind: "keyword" } }
+);
+
+module.exports = mongoose.model("Mute", muteSchema);
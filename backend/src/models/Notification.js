@@ -3,7 +3,7 @@ const mongoose = require("mongoose");
 const notificationSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // recipient
-    type: { type: String, enum: ["like", "comment", "follow"], required: true },
+    type: { type: String, enum: ["like", "comment", "follow", "follow_request", "data_export"], required: true },
     from: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // actor
     post: { type: mongoose.Schema.Types.ObjectId, ref: "Post" }, // optional for follow
     text: { type: String },
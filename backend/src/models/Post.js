@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { extractHashtags } = require("../utils/text");
 
 const postSchema = new mongoose.Schema(
   {
@@ -15,6 +16,41 @@ const postSchema = new mongoose.Schema(
     image: {
       type: String,
     },
+    // Set once the post has been written to followers' timelines
+    fannedOutAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the author had too many followers to fan out to; followers'
+    // feeds read these posts from here rather than from their timelines
+    pulledOnRead: {
+      type: Boolean,
+      default: false,
+    },
+    // Set on the first edit; earlier versions are kept as PostRevisions
+    edited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Users mentioned with "@username" in `content`
+    mentions: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      default: [],
+    },
+    // Lowercased, without "#"; derived from `content` on save
+    hashtags: {
+      type: [String],
+      default: [],
+    },
     likes: {
       type: [
         {
@@ -38,6 +74,17 @@ const postSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+postSchema.pre("save", function (next) {
+  if (this.isModified("content")) this.hashtags = extractHashtags(this.content);
+  next();
+});
+
+postSchema.index({ hashtags: 1, createdAt: -1 });
+// Feed pages are keyed on (createdAt, _id)
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ user: 1, createdAt: -1, _id: -1 });
+postSchema.index({ user: 1, createdAt: -1 }, { partialFilterExpression: { pulledOnRead: true } });
+
 module.exports = mongoose.model("Post", postSchema);
 
 
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A previous version of a post, kept when its owner edits it. `createdAt` is
+// when this version was published (the post's creation or an earlier edit).
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  image: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PostRevision", postRevisionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// `user` asked not to be suggested `dismissed` again
+const suggestionDismissalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    dismissed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+suggestionDismissalSchema.index({ user: 1, dismissed: 1 }, { unique: true });
+
+module.exports = mongoose.model("SuggestionDismissal", suggestionDismissalSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One post in one user's home feed, written by src/jobs/timeline.js when the
+// post is created (fan-out on write). `createdAt` is the post's own creation
+// time, so timelines page in the same (createdAt, post) order as posts.
+// Entries are dropped once `expiresAt` passes, keeping timelines bounded.
+const timelineSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+    index: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+timelineSchema.index({ user: 1, post: 1 }, { unique: true });
+timelineSchema.index({ user: 1, createdAt: -1, post: -1 });
+timelineSchema.index({ user: 1, author: 1 });
+timelineSchema.index({ author: 1 });
+timelineSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Timeline", timelineSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/permissions");
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,9 +25,9 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      // Password required only for local accounts (no OAuth provider)
+      // Password required only for local accounts (no linked OAuth provider)
       required: function () {
-        return !this.provider;
+        return !(this.identities && this.identities.length);
       },
       minlength: [6, "Password must be at least 6 characters long"],
     },
@@ -109,26 +110,36 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Email address confirmed (or vouched for by an OAuth provider)
     isVerified: {
       type: Boolean,
       default: false,
     },
+    // Verified badge, granted by moderators; unrelated to the email check
+    verifiedBadge: {
+      type: Boolean,
+      default: false,
+    },
     isPrivate: {
       type: Boolean,
       default: false,
     },
-    followers: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-      },
-    ],
-    following: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-      },
-    ],
+    // Permissions for each role live in src/config/permissions.js
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "user",
+    },
+    // Follows live in the Follow collection; src/utils/followGraph.js keeps
+    // these counters in step
+    followerCount: {
+      type: Number,
+      default: 0,
+    },
+    followingCount: {
+      type: Number,
+      default: 0,
+    },
     posts: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -155,15 +166,17 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    // OAuth fields
-    provider: {
-      type: String, // 'google' | 'github' | undefined
-      default: undefined,
-    },
-    providerId: {
-      type: String,
-      default: undefined,
-      index: true,
+    // Linked OAuth providers; one entry per provider
+    identities: {
+      type: [
+        {
+          provider: { type: String, required: true }, // 'google' | 'github'
+          providerId: { type: String, required: true },
+          email: { type: String, default: "" },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
     },
     resetPasswordToken: {
       type: String,
@@ -175,6 +188,105 @@ const userSchema = new mongoose.Schema(
       default: null,
       select: false,
     },
+    // Passwordless sign-in link, bound to the requesting browser by a nonce
+    magicLinkToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    magicLinkNonce: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    magicLinkExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Email verification (local signups and email changes)
+    emailVerificationToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // New address awaiting confirmation; `email` only changes once verified
+    pendingEmail: {
+      type: String,
+      default: null,
+      lowercase: true,
+      trim: true,
+      select: false,
+    },
+    // Set while the owner has deactivated the account; signing in clears it
+    deactivatedAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Account deletion: set when the owner asks to delete the account; any
+    // login before `deletionScheduledAt` cancels it
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    deletionScheduledAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Set when the deletion job claims the account; from then on a login no
+    // longer cancels the deletion
+    purgingAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Failed purge attempts, and when the job may try again
+    purgeFailures: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    purgeRetryAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret generated during enrollment, promoted once the first code verifies
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // sha256 hashes of unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -183,16 +295,6 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-// Virtual for follower count
-userSchema.virtual("followerCount").get(function () {
-  return Array.isArray(this.followers) ? this.followers.length : 0;
-});
-
-// Virtual for following count
-userSchema.virtual("followingCount").get(function () {
-  return Array.isArray(this.following) ? this.following.length : 0;
-});
-
 // Virtual for post count
 userSchema.virtual("postCount").get(function () {
   return Array.isArray(this.posts) ? this.posts.length : 0;
@@ -222,10 +324,24 @@ userSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.email;
+  // Never echo secrets that were explicitly selected for this request
+  userSchema.eachPath((path, schemaType) => {
+    if (schemaType.options.select === false) delete userObject[path];
+  });
   return userObject;
 };
 
 // Index for better query performance
 userSchema.index({ createdAt: -1 });
+userSchema.index({ deletionScheduledAt: 1 }, { sparse: true });
+userSchema.index({ purgingAt: 1 }, { sparse: true });
+userSchema.index({ deactivatedAt: 1 });
+userSchema.index(
+  { "identities.provider": 1, "identities.providerId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.providerId": { $exists: true } },
+  }
+);
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,32 @@
+const express = require("express");
+const { auth, authorize } = require("../middleware/auth");
+const {
+  setUserVerification,
+  setUserRole,
+  deleteAnyComment,
+  deleteAnyStory,
+} = require("../controllers/adminController");
+
+const router = express.Router();
+
+router.put(
+  "/users/:userId/verification",
+  auth,
+  authorize("users:verify"),
+  setUserVerification
+);
+router.put("/users/:userId/role", auth, authorize("users:manage_roles"), setUserRole);
+router.delete(
+  "/posts/:postId/comments/:commentId",
+  auth,
+  authorize("comments:delete_any"),
+  deleteAnyComment
+);
+router.delete(
+  "/stories/:storyId",
+  auth,
+  authorize("stories:delete_any"),
+  deleteAnyStory
+);
+
+module.exports = router;
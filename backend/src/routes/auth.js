@@ -1,55 +1,151 @@
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
-const { auth } = require("../middleware/auth");
+const { auth, optionalAuth } = require("../middleware/auth");
 const {
   register,
   login,
   getMe,
   getUserSuggestions,
+  dismissSuggestion,
   getUsers,
   searchAll,
   checkUsernameAvailability,
   forgotPassword,
   resetPassword,
+  requestMagicLink,
+  verifyMagicLink,
+  verifyEmail,
+  resendVerificationEmail,
   updateProfile,
+  refreshSession,
   logout,
   getUserProfile,
   followUser,
+  removeFollower,
   getFollowersList,
   getFollowingList,
-  oauthGoogleStart,
-  oauthGoogleCallback,
-  oauthGithubStart,
-  oauthGithubCallback,
 } = require("../controllers/authController");
+const {
+  getOAuthProviders,
+  oauthStart,
+  oauthCallback,
+  exchangeOAuthCode,
+  linkOAuthProvider,
+  linkOAuthProviderRedirect,
+  unlinkOAuthProvider,
+} = require("../controllers/oauthController");
+const {
+  getSessions,
+  deleteSession,
+} = require("../controllers/sessionController");
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
+} = require("../controllers/twoFactorController");
+const {
+  deleteAccount,
+  deactivateAccount,
+} = require("../controllers/accountController");
+const {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+} = require("../controllers/dataExportController");
+const {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+} = require("../controllers/blockController");
+const { getMutes, createMute, deleteMute } = require("../controllers/muteController");
+const {
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+} = require("../controllers/followRequestController");
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+} = require("../controllers/accessTokenController");
+
+// Verification emails are cheap to request and expensive to send
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => String(req.user._id),
+  message: { error: "Too many verification emails requested, please try again later." },
+});
 
 // Public routes
 router.post("/register", register);
 router.post("/login", login);
+router.post("/refresh", refreshSession);
+router.post("/2fa/verify", verifyTwoFactorLogin);
 router.post("/forgot-password", forgotPassword);
 router.post("/reset-password/:token", resetPassword);
+router.post("/magic-link", requestMagicLink);
+router.post("/magic-link/verify", verifyMagicLink);
+router.post(
+  "/verify-email/resend",
+  auth,
+  resendVerificationLimiter,
+  resendVerificationEmail
+);
+router.post("/verify-email/:token", verifyEmail);
 
 
 // Protected routes
 router.get("/me", auth, getMe);
 router.put("/profile", auth, updateProfile);
 router.post("/logout", auth, logout);
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions/:sessionId", auth, deleteSession);
+router.delete("/account", auth, deleteAccount);
+router.post("/deactivate", auth, deactivateAccount);
+router.post("/exports", auth, requestDataExport);
+router.get("/exports", auth, getDataExports);
+router.get("/exports/:exportId/download", auth, downloadDataExport);
+router.get("/tokens", auth, getAccessTokens);
+router.post("/tokens", auth, createAccessToken);
+router.delete("/tokens/:tokenId", auth, revokeAccessToken);
+router.post("/2fa/setup", auth, setupTwoFactor);
+router.post("/2fa/enable", auth, enableTwoFactor);
+router.post("/2fa/disable", auth, disableTwoFactor);
 router.get("/username-available", auth, checkUsernameAvailability);
 router.get("/suggestions", auth, getUserSuggestions);
+router.post("/suggestions/:userId/dismiss", auth, dismissSuggestion);
 router.get("/users", auth, getUsers);
 router.get("/search", auth, searchAll);
 
 // Profile routes
-router.get("/profile/:username", getUserProfile); // Public route
+router.get("/profile/:username", optionalAuth, getUserProfile); // Public route
 router.post("/follow/:userId", auth, followUser); // Protected route
+router.delete("/followers/:userId", auth, removeFollower);
+router.get("/blocks", auth, getBlockedUsers);
+router.post("/block/:userId", auth, blockUser);
+router.delete("/block/:userId", auth, unblockUser);
+router.get("/mutes", auth, getMutes);
+router.post("/mutes", auth, createMute);
+router.delete("/mutes/:muteId", auth, deleteMute);
+router.get("/follow-requests", auth, getFollowRequests);
+router.post("/follow-requests/:requestId/approve", auth, approveFollowRequest);
+router.delete("/follow-requests/:requestId", auth, rejectFollowRequest);
 
 // OAuth routes
-router.get("/profile/:username/followers", getFollowersList); // Public list
-router.get("/profile/:username/following", getFollowingList); // Public list
-router.get("/oauth/google", oauthGoogleStart);
-router.get("/oauth/google/callback", oauthGoogleCallback);
-router.get("/oauth/github", oauthGithubStart);
-router.get("/oauth/github/callback", oauthGithubCallback);
+router.get("/profile/:username/followers", optionalAuth, getFollowersList); // Public list
+router.get("/profile/:username/following", optionalAuth, getFollowingList); // Public list
+router.get("/oauth/providers", getOAuthProviders);
+router.get("/oauth/:provider", oauthStart);
+router.get("/oauth/:provider/callback", oauthCallback);
+router.post("/oauth/exchange", exchangeOAuthCode);
+router.post("/oauth/:provider/link", auth, linkOAuthProvider);
+router.get("/oauth/:provider/link", linkOAuthProviderRedirect);
+router.delete("/oauth/:provider", auth, unlinkOAuthProvider);
 
 module.exports = router;
  
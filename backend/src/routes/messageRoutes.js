@@ -16,48 +16,48 @@ const {
   uploadVideoMessage,
   deleteMessage,
 } = require('../controllers/messageController');
-const { auth } = require('../middleware/auth');
+const { scopedAuth, requireVerifiedEmail } = require('../middleware/auth');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } }); // 25MB limit
 
 // Get conversations
-router.get('/conversations', auth, getConversations);
+router.get('/conversations', scopedAuth('messages:read'), getConversations);
 
 // Get mutual followers for new chat
-router.get('/mutual-followers', auth, getMutualFollowers);
+router.get('/mutual-followers', scopedAuth('messages:read'), getMutualFollowers);
 
 // Get total unread messages count (must be before dynamic :userId route)
-router.get('/unread-count/total', auth, getUnreadCount);
+router.get('/unread-count/total', scopedAuth('messages:read'), getUnreadCount);
 
 // Get messages in a thread (root + replies) - placed BEFORE dynamic :userId route
-router.get('/thread/:threadId', auth, getThreadMessages);
+router.get('/thread/:threadId', scopedAuth('messages:read'), getThreadMessages);
 
 // Get messages between two users
-router.get('/:userId', auth, getMessages);
+router.get('/:userId', scopedAuth('messages:read'), getMessages);
 
 // Send a message
-router.post('/', auth, sendMessage);
+router.post('/', scopedAuth('messages:write'), requireVerifiedEmail, sendMessage);
 
 // Upload a voice note
-router.post('/voice', auth, upload.single('audio'), uploadVoiceNote);
+router.post('/voice', scopedAuth('messages:write'), requireVerifiedEmail, upload.single('audio'), uploadVoiceNote);
 
 // Upload an image message
-router.post('/image', auth, upload.single('image'), uploadImageMessage);
+router.post('/image', scopedAuth('messages:write'), requireVerifiedEmail, upload.single('image'), uploadImageMessage);
 
 // Upload a video message
-router.post('/video', auth, upload.single('video'), uploadVideoMessage);
+router.post('/video', scopedAuth('messages:write'), requireVerifiedEmail, upload.single('video'), uploadVideoMessage);
 
 // Mark message as read
-router.put('/:messageId/read', auth, markAsRead);
+router.put('/:messageId/read', scopedAuth('messages:read'), markAsRead);
 
 // Edit a message
-router.put('/:messageId', auth, editMessage);
+router.put('/:messageId', scopedAuth('messages:write'), editMessage);
 
 // Delete a message (for everyone)
-router.delete('/:messageId', auth, deleteMessage);
+router.delete('/:messageId', scopedAuth('messages:write'), deleteMessage);
 
 // Reactions
-router.post('/:messageId/reactions', auth, addReaction);
-router.delete('/:messageId/reactions', auth, removeReaction);
+router.post('/:messageId/reactions', scopedAuth('messages:write'), addReaction);
+router.delete('/:messageId/reactions', scopedAuth('messages:write'), removeReaction);
 
 module.exports = router;
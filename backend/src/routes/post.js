@@ -1,12 +1,20 @@
 const express = require("express");
 const router = express.Router();
-const { auth } = require("../middleware/auth");
+const {
+  auth,
+  scopedAuth,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
 const {
   createPost,
   getPosts,
+  getFeed,
   getPostsByUsername,
   getPostById,
   likePost,
+  updatePost,
+  getPostRevisions,
   addComment,
   deletePost,
 } = require("../controllers/postController");
@@ -19,24 +27,29 @@ const Notification = require("../models/Notification");
 
 
 // Create a new post
-router.post("/", auth, createPost);
-router.get("/stories", auth, getStories);
-router.post("/stories", auth, createStory);
+router.post("/", scopedAuth("posts:write"), requireVerifiedEmail, createPost);
+router.get("/stories", scopedAuth("posts:read"), getStories);
+router.post("/stories", auth, requireVerifiedEmail, createStory);
 router.post("/stories/:storyId/view", auth, markStoryViewed);
 // Get all posts
-router.get("/", getPosts);
+router.get("/", optionalAuth, getPosts);
+// Home feed (people you follow) or explore, cursor-paginated
+router.get("/feed", scopedAuth("posts:read"), getFeed);
 // Get all posts by a specific user
-router.get("/user/:username", getPostsByUsername);
+router.get("/user/:username", optionalAuth, getPostsByUsername);
 // Like/unlike a post
-router.post("/:postId/like", auth, likePost);
+router.post("/:postId/like", scopedAuth("posts:write"), likePost);
+// Edit a post (owner only) and list its previous versions
+router.put("/:postId", scopedAuth("posts:write"), requireVerifiedEmail, updatePost);
+router.get("/:postId/revisions", optionalAuth, getPostRevisions);
 // Add a comment to a post
-router.post("/:postId/comments", auth, addComment);
+router.post("/:postId/comments", scopedAuth("posts:write"), requireVerifiedEmail, addComment);
 
 // Delete a post (owner only)
-router.delete("/:postId", auth, deletePost);
+router.delete("/:postId", scopedAuth("posts:write"), deletePost);
 
 // Get notifications for the current user with pagination
-router.get("/notifications", auth, async (req, res) => {
+router.get("/notifications", scopedAuth("notifications:read"), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 5;
@@ -73,6 +86,6 @@ router.get("/notifications", auth, async (req, res) => {
 });
 
 // Get a single post by id
-router.get("/:postId", getPostById);
+router.get("/:postId", optionalAuth, getPostById);
 
 module.exports = router;
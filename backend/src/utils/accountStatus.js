@@ -0,0 +1,15 @@
+const User = require("../models/User");
+
+// Deactivated accounts keep all of their data but disappear from everything
+// other people can see until their owner signs in again.
+const activeUserFilter = () => ({ deactivatedAt: null });
+
+// The deactivated accounts among `candidateIds`; the full list grows with the
+// platform, so lookups are always scoped to the accounts at hand
+const getDeactivatedUserIds = (candidateIds) =>
+  User.distinct("_id", { _id: { $in: candidateIds }, deactivatedAt: { $ne: null } });
+
+module.exports = {
+  activeUserFilter,
+  getDeactivatedUserIds,
+};
@@ -0,0 +1,64 @@
+const Post = require("../models/Post");
+const Message = require("../models/Message");
+
+// How much `viewerId` has interacted with each of `authorIds` since `since`:
+// likes and comments on their posts, and DMs in either direction. Returns a
+// Map of author id string -> { likes, comments, messages }.
+const getAuthorAffinities = async (viewerId, authorIds, since) => {
+  const affinities = new Map();
+  if (!viewerId || !authorIds.length) return affinities;
+  const entry = (id) => {
+    const key = String(id);
+    if (!affinities.has(key)) affinities.set(key, { likes: 0, comments: 0, messages: 0 });
+    return affinities.get(key);
+  };
+
+  const [liked, commented, messaged] = await Promise.all([
+    Post.aggregate([
+      { $match: { user: { $in: authorIds }, likes: viewerId, createdAt: { $gte: since } } },
+      { $group: { _id: "$user", count: { $sum: 1 } } },
+    ]),
+    Post.aggregate([
+      {
+        $match: {
+          user: { $in: authorIds },
+          "comments.user": viewerId,
+          createdAt: { $gte: since },
+        },
+      },
+      { $unwind: "$comments" },
+      { $match: { "comments.user": viewerId } },
+      { $group: { _id: "$user", count: { $sum: 1 } } },
+    ]),
+    Message.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since },
+          $or: [
+            { sender: viewerId, recipient: { $in: authorIds } },
+            { recipient: viewerId, sender: { $in: authorIds } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ["$sender", viewerId] }, "$recipient", "$sender"] },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  liked.forEach((row) => {
+    entry(row._id).likes = row.count;
+  });
+  commented.forEach((row) => {
+    entry(row._id).comments = row.count;
+  });
+  messaged.forEach((row) => {
+    entry(row._id).messages = row.count;
+  });
+  return affinities;
+};
+
+module.exports = { getAuthorAffinities };
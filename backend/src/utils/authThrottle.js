@@ -0,0 +1,142 @@
+const AuthThrottle = require("../models/AuthThrottle");
+const { sendMail } = require("./mailer");
+
+// Counters are forgotten after a day without failures
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+// Failures allowed before locking; IPs get more room because they are shared
+const LIMITS = {
+  account: 5,
+  ip: 20,
+};
+
+// Emails sent to an address typed into a public form, per IP and per address.
+// These use their own keys, so they never lock the account's sign-in.
+const SEND_LIMITS = {
+  address: 5,
+  ip: 20,
+};
+
+const throttleKey = (scope, kind, value) =>
+  `${scope}:${kind}:${String(value || "").trim().toLowerCase()}`;
+
+// Seconds until every given key is unlocked (0 if none are locked)
+const getRetryAfter = async (keys) => {
+  const now = Date.now();
+  const locked = await AuthThrottle.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date(now) },
+  }).select("lockedUntil");
+
+  const latest = locked.reduce(
+    (max, doc) => Math.max(max, doc.lockedUntil.getTime()),
+    0
+  );
+  return latest ? Math.ceil((latest - now) / 1000) : 0;
+};
+
+// Count a failure. Once past the limit every further failure doubles the lock.
+const registerFailure = async (key, maxFailures) => {
+  const now = Date.now();
+  const doc = await AuthThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: new Date(now),
+        expiresAt: new Date(now + COUNTER_TTL_MS),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (doc.failures < maxFailures) {
+    return { locked: false, newlyLocked: false, lockedUntil: null };
+  }
+
+  const lockMs = Math.min(
+    BASE_LOCK_MS * 2 ** (doc.failures - maxFailures),
+    MAX_LOCK_MS
+  );
+  const lockedUntil = new Date(now + lockMs);
+  await AuthThrottle.updateOne(
+    { _id: doc._id },
+    {
+      lockedUntil,
+      expiresAt: new Date(lockedUntil.getTime() + COUNTER_TTL_MS),
+    }
+  );
+
+  return {
+    locked: true,
+    newlyLocked: doc.failures === maxFailures,
+    lockedUntil,
+  };
+};
+
+// Counts an email about to be sent under `scope` (e.g. "forgot-send") for the
+// requesting IP and the target address, with the same backoff as failures.
+// Returns seconds to wait if either is locked; nothing is counted then.
+const registerEmailSend = async (scope, ip, email) => {
+  const ipKey = throttleKey(scope, "ip", ip);
+  const addressKey = throttleKey(scope, "email", email);
+  const retryAfter = await getRetryAfter([ipKey, addressKey]);
+  if (retryAfter) return retryAfter;
+  await Promise.all([
+    registerFailure(ipKey, SEND_LIMITS.ip),
+    registerFailure(addressKey, SEND_LIMITS.address),
+  ]);
+  return 0;
+};
+
+const clearFailures = (keys) => AuthThrottle.deleteMany({ key: { $in: keys } });
+
+const rejectThrottled = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many attempts. Please try again later.",
+    retryAfter,
+  });
+};
+
+const sendLockoutEmail = async (user, lockedUntil) => {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const minutes = Math.max(1, Math.round((lockedUntil - Date.now()) / 60000));
+    const subject = "Suspicious sign-in activity on your Mesh account";
+    const text = [
+      `Hello ${user.fullName || user.username},`,
+      "",
+      "We noticed several failed attempts to sign in to or reset the password of your Mesh account.",
+      `For your protection, these actions are paused for about ${minutes} minute(s).`,
+      "",
+      "If this was you, just wait and try again.",
+      `If it wasn't, consider resetting your password: ${frontendUrl}/forgot-password`,
+    ].join("\n");
+
+    const html = `
+      <p>Hello ${user.fullName || user.username},</p>
+      <p>We noticed several failed attempts to sign in to or reset the password of your Mesh account.</p>
+      <p>For your protection, these actions are paused for about ${minutes} minute(s).</p>
+      <p>If this was you, just wait and try again.</p>
+      <p>If it wasn't, consider <a href="${frontendUrl}/forgot-password">resetting your password</a>.</p>
+    `;
+
+    await sendMail({ to: user.email, subject, text, html });
+  } catch (err) {
+    console.error("[authThrottle] failed to send lockout email:", err?.message || err);
+  }
+};
+
+module.exports = {
+  LIMITS,
+  throttleKey,
+  getRetryAfter,
+  registerFailure,
+  registerEmailSend,
+  clearFailures,
+  rejectThrottled,
+  sendLockoutEmail,
+};
@@ -0,0 +1,235 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const AuthCode = require("../models/AuthCode");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+
+// Revoking a session only locks it out once its access token expires, so the
+// lifetime is capped. JWT_EXPIRES_IN, from before refresh tokens, is not read:
+// deployments still set it to a long single-token lifetime.
+const MAX_ACCESS_TOKEN_MINUTES = 60;
+const accessTokenMinutes = Number(process.env.ACCESS_TOKEN_EXPIRES_MINUTES);
+const ACCESS_TOKEN_TTL = `${
+  Number.isFinite(accessTokenMinutes) && accessTokenMinutes > 0
+    ? Math.min(accessTokenMinutes, MAX_ACCESS_TOKEN_MINUTES)
+    : 15
+}m`;
+const REFRESH_TOKEN_TTL_MS =
+  (Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Avoid a write on every authenticated request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const EXCHANGE_CODE_TTL_MS = 60 * 1000;
+const LINK_TICKET_TTL_MS = 60 * 1000;
+const PERSONAL_ACCESS_TOKEN_PREFIX = "mesh_pat_";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const createRefreshSecret = () => crypto.randomBytes(48).toString("hex");
+
+const getClientInfo = (req) => ({
+  userAgent: String(req?.get?.("user-agent") || "").slice(0, 512),
+  ip: req?.ip || "",
+});
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Short-lived proof that the first login factor succeeded; useless without a code
+const signTwoFactorChallenge = (userId) =>
+  jwt.sign({ userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken || ""), process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createExchangeCode = async (userId) => {
+  const code = crypto.randomBytes(32).toString("hex");
+  await AuthCode.create({
+    codeHash: hashToken(code),
+    user: userId,
+    expiresAt: new Date(Date.now() + EXCHANGE_CODE_TTL_MS),
+  });
+  return code;
+};
+
+// Deleting on read makes the code single-use even under concurrent redemption.
+// The expiry is checked here too because Mongo's TTL sweep only runs every minute.
+const redeemExchangeCode = async (code) => {
+  if (!code) return null;
+  const doc = await AuthCode.findOneAndDelete({
+    codeHash: hashToken(code),
+    purpose: { $ne: "link" },
+    expiresAt: { $gt: new Date() },
+  });
+  return doc ? doc.user : null;
+};
+
+// A ticket for `userId` to start linking `provider` from a plain navigation,
+// which can set cookies where a cross-site XHR can't
+const createLinkTicket = async (userId, provider) => {
+  const ticket = crypto.randomBytes(32).toString("hex");
+  await AuthCode.create({
+    purpose: "link",
+    provider,
+    codeHash: hashToken(ticket),
+    user: userId,
+    expiresAt: new Date(Date.now() + LINK_TICKET_TTL_MS),
+  });
+  return ticket;
+};
+
+// Single-use like exchange codes; returns the user id or null
+const redeemLinkTicket = async (ticket, provider) => {
+  if (!ticket) return null;
+  const doc = await AuthCode.findOneAndDelete({
+    codeHash: hashToken(ticket),
+    purpose: "link",
+    provider,
+    expiresAt: { $gt: new Date() },
+  });
+  return doc ? doc.user : null;
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// directly and a replayed (already rotated) secret can be detected.
+const issueSession = async (userId, req) => {
+  const secret = createRefreshSecret();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(secret),
+    ...getClientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return {
+    token: signAccessToken(userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  };
+};
+
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const now = new Date();
+  const nextSecret = createRefreshSecret();
+  // Compare-and-swap on the hash so concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      ...getClientInfo(req),
+      lastSeenAt: now,
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Either unknown, expired, or an old secret being replayed. In the replay
+    // case the token has leaked, so kill the whole session.
+    await revokeSession(sessionId);
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    session,
+  };
+};
+
+const findActiveSession = (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const touchSession = (session, req) => {
+  const now = Date.now();
+  if (session.lastSeenAt && now - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return Promise.resolve();
+  }
+  return Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: new Date(now), ip: req?.ip || session.ip }
+  );
+};
+
+const isPersonalAccessToken = (token) =>
+  String(token || "").startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+const generatePersonalAccessToken = () =>
+  `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+
+const findActivePersonalAccessToken = (token) =>
+  PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+const touchPersonalAccessToken = (accessToken, req) => {
+  const now = Date.now();
+  if (accessToken.lastUsedAt && now - accessToken.lastUsedAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return Promise.resolve();
+  }
+  return PersonalAccessToken.updateOne(
+    { _id: accessToken._id },
+    { lastUsedAt: new Date(now), lastUsedIp: req?.ip || "" }
+  );
+};
+
+const revokeSession = (sessionId) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+const revokeAllSessions = (userId) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+module.exports = {
+  hashToken,
+  issueSession,
+  rotateSession,
+  findActiveSession,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createExchangeCode,
+  redeemExchangeCode,
+  createLinkTicket,
+  redeemLinkTicket,
+  isPersonalAccessToken,
+  generatePersonalAccessToken,
+  findActivePersonalAccessToken,
+  touchPersonalAccessToken,
+};
@@ -0,0 +1,41 @@
+const Block = require("../models/Block");
+
+// Blocks work both ways: ids of everyone `userId` blocked or was blocked by
+const getBlockedUserIds = async (userId) => {
+  if (!userId) return [];
+  const blocks = await Block.find({
+    $or: [{ blocker: userId }, { blocked: userId }],
+  }).select("blocker blocked");
+  return blocks.map((block) =>
+    String(block.blocker) === String(userId) ? block.blocked : block.blocker
+  );
+};
+
+const getBlockedUserIdSet = async (userId) =>
+  new Set((await getBlockedUserIds(userId)).map(String));
+
+const isBlockedBetween = async (userA, userB) => {
+  if (!userA || !userB) return false;
+  return !!(await Block.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA },
+    ],
+  }));
+};
+
+// Drops comments written by blocked users from a post object (toObject() form)
+const withoutBlockedComments = (post, blockedSet) => {
+  if (!blockedSet.size || !Array.isArray(post.comments)) return post;
+  post.comments = post.comments.filter(
+    (comment) => !blockedSet.has(String(comment.user?._id || comment.user))
+  );
+  return post;
+};
+
+module.exports = {
+  getBlockedUserIds,
+  getBlockedUserIdSet,
+  isBlockedBetween,
+  withoutBlockedComments,
+};
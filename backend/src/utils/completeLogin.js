@@ -0,0 +1,55 @@
+const User = require("../models/User");
+const { issueSession, signTwoFactorChallenge } = require("./authTokens");
+const { setFollowCountsActive } = require("./followGraph");
+
+// Final step shared by every way of signing in (password, OAuth, magic link).
+// Returns the JSON body for the response: either a 2FA challenge or a session,
+// or null if the account is being purged (answer with rejectPurgingLogin).
+// `secondFactorVerified` is set by the 2FA step itself.
+const completeLogin = async (user, req, { secondFactorVerified = false } = {}) => {
+  // Once the deletion job has claimed the account it can't be signed into
+  if (await User.exists({ _id: user._id, purgingAt: { $ne: null } })) {
+    return null;
+  }
+
+  if (user.twoFactorEnabled && !secondFactorVerified) {
+    return {
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id),
+    };
+  }
+
+  // Signing in during the grace period cancels a pending account deletion
+  const cancelled = await User.updateOne(
+    { _id: user._id, deletionScheduledAt: { $ne: null }, purgingAt: null },
+    { deletionScheduledAt: null, deletionRequestedAt: null }
+  );
+  // ...and brings a deactivated account back
+  const reactivated = await User.updateOne(
+    { _id: user._id, deactivatedAt: { $ne: null } },
+    { deactivatedAt: null }
+  );
+  if (reactivated.modifiedCount) await setFollowCountsActive(user._id, true);
+
+  // Update last active
+  user.lastActive = new Date();
+  user.isOnline = true;
+  await user.save();
+
+  const { token, refreshToken } = await issueSession(user._id, req);
+
+  return {
+    message: "Login successful",
+    token,
+    refreshToken,
+    user: user.getPublicProfile(),
+    ...(cancelled.modifiedCount ? { accountDeletionCancelled: true } : {}),
+    ...(reactivated.modifiedCount ? { accountReactivated: true } : {}),
+  };
+};
+
+const rejectPurgingLogin = (res) =>
+  res.status(410).json({ error: "This account is being deleted" });
+
+module.exports = { completeLogin, rejectPurgingLogin };
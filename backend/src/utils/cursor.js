@@ -0,0 +1,16 @@
+// Opaque pagination cursors: the sort key of the last item returned, as
+// base64url JSON. Clients pass `nextCursor` back unchanged.
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString("base64url");
+
+// Returns the decoded object, or null for anything that isn't a cursor we issued
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    return values && typeof values === "object" && !Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
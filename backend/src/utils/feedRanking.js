@@ -0,0 +1,128 @@
+// Ranking for the "For You" feed. Everything here is pure: given the same
+// candidates and `now`, the same order and reasons come out.
+//
+// A scorer turns one candidate into a score and the reason behind it:
+//
+//   {
+//     id,
+//     score({ post, affinity, isFollowing }, { now }) -> { score, reason }
+//   }
+//
+// `post` has user, likes, comments and createdAt; `affinity` counts the
+// viewer's recent likes, comments and DMs with the author. Diversity is applied
+// afterwards by rankPosts, so scorers only judge posts one at a time.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  // Score halves every this many hours
+  halfLifeHours: 24,
+  // Interaction weights when computing affinity to an author
+  affinityWeights: { likes: 1, comments: 2, messages: 0.5 },
+  affinityWeight: 1,
+  // Weight of engagement per hour since posting
+  velocityWeight: 0.6,
+  // Bump for authors the viewer follows over explore candidates
+  followingBonus: 0.5,
+};
+
+const authorName = (post) => (post.user && post.user.username ? `@${post.user.username}` : "this author");
+
+const createDefaultScorer = (overrides = {}) => {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...overrides,
+    affinityWeights: { ...DEFAULT_OPTIONS.affinityWeights, ...(overrides.affinityWeights || {}) },
+  };
+
+  return {
+    id: "default",
+    score: ({ post, affinity = {}, isFollowing = false }, { now }) => {
+      const ageHours = Math.max(0, (now - new Date(post.createdAt)) / HOUR_MS);
+      const recency = Math.pow(0.5, ageHours / options.halfLifeHours);
+
+      const likes = Array.isArray(post.likes) ? post.likes.length : 0;
+      const comments = Array.isArray(post.comments) ? post.comments.length : 0;
+      // +2 hours keeps a single early like from looking like a trend
+      const velocity = (likes + 2 * comments) / (ageHours + 2);
+
+      const weights = options.affinityWeights;
+      const interactions =
+        (affinity.likes || 0) * weights.likes +
+        (affinity.comments || 0) * weights.comments +
+        (affinity.messages || 0) * weights.messages;
+
+      const components = {
+        affinity: options.affinityWeight * Math.log1p(interactions),
+        velocity: options.velocityWeight * Math.log1p(velocity),
+        following: isFollowing ? options.followingBonus : 0,
+      };
+      const score = recency * (1 + components.affinity + components.velocity + components.following);
+
+      const strongest = Object.entries(components).sort((a, b) => b[1] - a[1])[0];
+      let reason;
+      if (strongest[1] <= 0) {
+        reason = "Recent post";
+      } else if (strongest[0] === "affinity") {
+        reason = `You often interact with ${authorName(post)}`;
+      } else if (strongest[0] === "velocity") {
+        reason = `Popular right now: ${likes} like${likes === 1 ? "" : "s"} and ${comments} comment${comments === 1 ? "" : "s"}`;
+      } else {
+        reason = `New from ${authorName(post)}, who you follow`;
+      }
+
+      return { score, reason };
+    },
+  };
+};
+
+// ===== Registry =====
+const registry = new Map();
+
+const registerScorer = (scorer) => {
+  registry.set(scorer.id, scorer);
+  return scorer;
+};
+
+// Falls back to the default scorer for unknown ids
+const getScorer = (id) => registry.get(id) || registry.get("default");
+
+registerScorer(createDefaultScorer());
+
+// Scores every candidate, then orders them greedily: each pick multiplies the
+// remaining posts by the same author by `diversityDecay`, so one prolific
+// account can't fill the page. Ties go to the newer post, then the higher id.
+const rankPosts = (candidates, { scorer = getScorer(), now, diversityDecay = 0.7 }) => {
+  const scored = candidates.map((candidate) => ({
+    ...candidate,
+    ...scorer.score(candidate, { now }),
+  }));
+
+  const authorKey = (candidate) => String(candidate.post.user?._id || candidate.post.user);
+  const picks = new Map();
+  const compare = (a, b) =>
+    b.adjusted - a.adjusted ||
+    new Date(b.post.createdAt) - new Date(a.post.createdAt) ||
+    String(b.post._id).localeCompare(String(a.post._id));
+
+  const ranked = [];
+  const remaining = [...scored];
+  while (remaining.length) {
+    remaining.forEach((candidate) => {
+      candidate.adjusted =
+        candidate.score * Math.pow(diversityDecay, picks.get(authorKey(candidate)) || 0);
+    });
+    remaining.sort(compare);
+    const next = remaining.shift();
+    picks.set(authorKey(next), (picks.get(authorKey(next)) || 0) + 1);
+    ranked.push({ post: next.post, score: next.adjusted, reason: next.reason });
+  }
+  return ranked;
+};
+
+module.exports = {
+  createDefaultScorer,
+  registerScorer,
+  getScorer,
+  rankPosts,
+};
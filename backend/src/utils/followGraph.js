@@ -0,0 +1,408 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const FollowRequest = require("../models/FollowRequest");
+const Notification = require("../models/Notification");
+const { notifyUser } = require("./notify");
+const { activeUserFilter } = require("./accountStatus");
+const { isBlockedBetween } = require("./blocks");
+const { encodeCursor, decodeCursor } = require("./cursor");
+const { queueBackfill, queueAuthorRemoval } = require("../jobs/timeline");
+
+// The follow graph lives in the Follow collection. `followerCount` and
+// `followingCount` on User are maintained here with $inc and only count
+// counterparts whose accounts are active, so deactivating an account shifts
+// the counters of everyone connected to it (see setFollowCountsActive).
+
+const FOLLOW_MESSAGES = {
+  followed: "Followed successfully",
+  unfollowed: "Unfollowed successfully",
+  requested: "Follow request sent",
+  request_cancelled: "Follow request cancelled",
+};
+
+const isFollowing = async (followerId, followingId) => {
+  if (!followerId || !followingId) return false;
+  return !!(await Follow.exists({ follower: followerId, following: followingId }));
+};
+
+// `excludeIds` drops accounts the caller must not show, e.g. deactivated or blocked
+const getFollowingIds = (userId, excludeIds = []) =>
+  Follow.distinct("following", { follower: userId, following: { $nin: excludeIds } });
+
+const getFollowerIds = (userId, excludeIds = []) =>
+  Follow.distinct("follower", { following: userId, follower: { $nin: excludeIds } });
+
+// Keyset condition for "after the last item of the previous page", given the
+// sort fields in order (all descending)
+const afterCursor = (fields, values) =>
+  fields.map((field, i) => {
+    const condition = { [field]: { $lt: values[i] } };
+    fields.slice(0, i).forEach((prev, j) => {
+      condition[prev] = values[j];
+    });
+    return condition;
+  });
+
+// One page of `userId`'s followers (`direction: "followers"`) or of the accounts
+// they follow ("following"), newest first. `search` matches username or full
+// name; `sort: "mutuals"` puts accounts the viewer follows first. Every entry
+// carries `isFollowedByMe`. `excludeIds` should cover blocked accounts;
+// deactivated ones are dropped here. Returns null for a cursor we didn't issue.
+const listConnections = async ({
+  userId,
+  direction,
+  viewerId,
+  excludeIds = [],
+  search,
+  sort,
+  cursor,
+  limit = 20,
+}) => {
+  const [ownField, otherField] =
+    direction === "followers" ? ["following", "follower"] : ["follower", "following"];
+  const mutualsFirst = sort === "mutuals" && !!viewerId;
+  const sortFields = mutualsFirst ? ["mutual", "createdAt", "_id"] : ["createdAt", "_id"];
+
+  let after = null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || !mongoose.isValidObjectId(decoded.id) || isNaN(Date.parse(decoded.at))) {
+      return null;
+    }
+    after = [new Date(decoded.at), new mongoose.Types.ObjectId(decoded.id)];
+    if (mutualsFirst) after.unshift(decoded.mutual ? 1 : 0);
+  }
+
+  const paginate = [
+    ...(after ? [{ $match: { $or: afterCursor(sortFields, after) } }] : []),
+    { $sort: Object.fromEntries(sortFields.map((field) => [field, -1])) },
+    { $limit: limit + 1 },
+  ];
+  // A plain listing pages straight off the Follow index before joining users
+  const pageFirst = !search && !mutualsFirst;
+
+  const pipeline = [
+    { $match: { [ownField]: userId, [otherField]: { $nin: excludeIds } } },
+    ...(pageFirst ? paginate : []),
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: otherField,
+        foreignField: "_id",
+        as: "user",
+      },
+    },
+    { $unwind: "$user" },
+    {
+      $project: {
+        createdAt: 1,
+        "user._id": 1,
+        "user.username": 1,
+        "user.fullName": 1,
+        "user.avatar": 1,
+        "user.bio": 1,
+        "user.verifiedBadge": 1,
+        "user.deactivatedAt": 1,
+      },
+    },
+  ];
+  if (search) {
+    const regex = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    pipeline.push({ $match: { $or: [{ "user.username": regex }, { "user.fullName": regex }] } });
+  }
+  if (mutualsFirst) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Follow.collection.name,
+          let: { other: "$user._id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ["$follower", new mongoose.Types.ObjectId(String(viewerId))] },
+                    { $eq: ["$following", "$$other"] },
+                  ],
+                },
+              },
+            },
+            { $limit: 1 },
+          ],
+          as: "viewerEdge",
+        },
+      },
+      { $addFields: { mutual: { $cond: [{ $gt: [{ $size: "$viewerEdge" }, 0] }, 1, 0] } } }
+    );
+  }
+  if (!pageFirst) pipeline.push(...paginate);
+
+  const edges = await Follow.aggregate(pipeline);
+  const hasMore = edges.length > limit;
+  // Deactivated accounts are dropped after paging, so the cursor still moves
+  // past them; a page can come back a little short
+  const paged = edges.slice(0, limit);
+  const page = paged.filter((edge) => !edge.user.deactivatedAt);
+
+  const followedByViewer = viewerId
+    ? new Set(
+        (
+          await Follow.distinct("following", {
+            follower: viewerId,
+            following: { $in: page.map((edge) => edge.user._id) },
+          })
+        ).map(String)
+      )
+    : new Set();
+
+  const last = paged[paged.length - 1];
+  return {
+    items: page.map((edge) => ({
+      _id: edge.user._id,
+      username: edge.user.username,
+      fullName: edge.user.fullName,
+      avatar: edge.user.avatar,
+      bio: edge.user.bio || "",
+      verifiedBadge: !!edge.user.verifiedBadge,
+      isFollowedByMe: followedByViewer.has(String(edge.user._id)),
+      followedAt: edge.createdAt,
+    })),
+    nextCursor:
+      hasMore && last
+        ? encodeCursor({
+            at: last.createdAt.toISOString(),
+            id: String(last._id),
+            ...(mutualsFirst ? { mutual: !!last.mutual } : {}),
+          })
+        : null,
+  };
+};
+
+// Applies `delta` to both counters touched by one edge, skipping the side whose
+// counterpart is deactivated
+const updateEdgeCounts = async (followerId, followingId, delta) => {
+  const inactive = new Set(
+    (
+      await User.distinct("_id", {
+        _id: { $in: [followerId, followingId] },
+        deactivatedAt: { $ne: null },
+      })
+    ).map(String)
+  );
+  await Promise.all([
+    !inactive.has(String(followingId)) &&
+      User.updateOne({ _id: followerId }, { $inc: { followingCount: delta } }),
+    !inactive.has(String(followerId)) &&
+      User.updateOne({ _id: followingId }, { $inc: { followerCount: delta } }),
+  ]);
+};
+
+// Creates the edge. Returns false if it already existed, so concurrent calls
+// only ever count (and notify) once.
+const addFollow = async (followerId, followingId) => {
+  try {
+    const result = await Follow.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId } },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return false;
+  } catch (error) {
+    // Two upserts racing on the unique index: the other one won
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  await updateEdgeCounts(followerId, followingId, 1);
+  queueBackfill(followerId, followingId);
+  return true;
+};
+
+// Removes the edge. Returns false if there was nothing to remove.
+const removeFollow = async (followerId, followingId) => {
+  const result = await Follow.deleteOne({ follower: followerId, following: followingId });
+  if (!result.deletedCount) return false;
+  await updateEdgeCounts(followerId, followingId, -1);
+  queueAuthorRemoval(followerId, followingId);
+  return true;
+};
+
+const notifyNewFollower = (io, follower, followingId) =>
+  notifyUser({
+    io,
+    recipientId: followingId,
+    actor: follower,
+    type: "follow",
+    text: `${follower.fullName} started following you`,
+    push: {
+      title: "New follower",
+      body: `${follower.fullName} started following you`,
+      url: "/alerts",
+      tag: "mesh-follow",
+    },
+  });
+
+// Ask to follow a private account, notifying its owner once. Returns true if a
+// new request was created.
+const requestToFollow = async (requester, owner, io) => {
+  const result = await FollowRequest.updateOne(
+    { from: requester._id, to: owner._id },
+    { $setOnInsert: { from: requester._id, to: owner._id } },
+    { upsert: true }
+  );
+  if (!result.upsertedCount) return false;
+
+  await notifyUser({
+    io,
+    recipientId: owner._id,
+    actor: requester,
+    type: "follow_request",
+    text: `${requester.fullName} requested to follow you`,
+    push: {
+      title: "New follow request",
+      body: `${requester.fullName} requested to follow you`,
+      url: "/alerts",
+      tag: "mesh-follow-request",
+    },
+  });
+  return true;
+};
+
+const cancelFollowRequest = async (requesterId, ownerId) => {
+  const result = await FollowRequest.deleteOne({ from: requesterId, to: ownerId });
+  if (result.deletedCount) {
+    await Notification.deleteMany({
+      user: ownerId,
+      from: requesterId,
+      type: "follow_request",
+    });
+  }
+  return result.deletedCount > 0;
+};
+
+const acceptFollowRequest = async (request) => {
+  await addFollow(request.from, request.to);
+  await FollowRequest.deleteOne({ _id: request._id });
+  await Notification.deleteMany({
+    user: request.to,
+    from: request.from,
+    type: "follow_request",
+  });
+};
+
+// Used when an account goes public: every pending request becomes a follow
+const acceptAllFollowRequests = async (ownerId) => {
+  const requests = await FollowRequest.find({ to: ownerId });
+  for (const request of requests) {
+    await acceptFollowRequest(request);
+  }
+  return requests.length;
+};
+
+// The follow button behind both follow routes. Follows `targetId`, or unfollows
+// if `actor` already follows them. Private accounts get a follow request
+// instead, and asking again cancels it. Returns null when the target is
+// missing, deactivated or blocked either way.
+const toggleFollow = async (actor, targetId, io) => {
+  const target = await User.findOne({ _id: targetId, ...activeUserFilter() }).select(
+    "isPrivate"
+  );
+  if (!target || (await isBlockedBetween(actor._id, target._id))) return null;
+
+  let status;
+  if (await removeFollow(actor._id, target._id)) {
+    status = "unfollowed";
+  } else if (target.isPrivate) {
+    const cancelled = await cancelFollowRequest(actor._id, target._id);
+    if (!cancelled) await requestToFollow(actor, target, io);
+    status = cancelled ? "request_cancelled" : "requested";
+  } else {
+    if (await addFollow(actor._id, target._id)) {
+      await notifyNewFollower(io, actor, target._id);
+    }
+    status = "followed";
+  }
+
+  const counts = await User.findById(target._id).select("followerCount");
+  return {
+    status,
+    isFollowing: status === "followed",
+    requested: status === "requested",
+    followerCount: counts ? counts.followerCount : 0,
+  };
+};
+
+// Shifts the counters of everyone connected to `userId` by `delta`; -1 when the
+// account is deactivated, +1 when it comes back
+const shiftNeighbourCounts = async (userId, delta) => {
+  const [followingIds, followerIds] = await Promise.all([
+    getFollowingIds(userId),
+    getFollowerIds(userId),
+  ]);
+  await Promise.all([
+    User.updateMany({ _id: { $in: followingIds } }, { $inc: { followerCount: delta } }),
+    User.updateMany({ _id: { $in: followerIds } }, { $inc: { followingCount: delta } }),
+  ]);
+};
+
+const setFollowCountsActive = (userId, active) =>
+  shiftNeighbourCounts(userId, active ? 1 : -1);
+
+// Drops every edge touching `userId`, for account deletion
+const removeAllFollows = async (userId) => {
+  const user = await User.findById(userId).select("+deactivatedAt");
+  if (user && !user.deactivatedAt) await shiftNeighbourCounts(userId, -1);
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+// Counts the user's edges in one direction whose other end is an active
+// account; each edge is joined to that account rather than loading every
+// deactivated id
+const countActiveEdges = async (userId, side, otherSide) => {
+  const [result] = await Follow.aggregate([
+    { $match: { [side]: new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { other: `$${otherSide}` },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$other"] } } },
+          { $match: { deactivatedAt: null } },
+          { $project: { _id: 1 } },
+        ],
+        as: "active",
+      },
+    },
+    { $match: { "active.0": { $exists: true } } },
+    { $count: "total" },
+  ]);
+  return result ? result.total : 0;
+};
+
+// Recomputes both counters from the Follow collection
+const recountFollows = async (userId) => {
+  const [followerCount, followingCount] = await Promise.all([
+    countActiveEdges(userId, "following", "follower"),
+    countActiveEdges(userId, "follower", "following"),
+  ]);
+  await User.updateOne({ _id: userId }, { followerCount, followingCount });
+  return { followerCount, followingCount };
+};
+
+module.exports = {
+  FOLLOW_MESSAGES,
+  isFollowing,
+  getFollowingIds,
+  getFollowerIds,
+  listConnections,
+  addFollow,
+  removeFollow,
+  toggleFollow,
+  requestToFollow,
+  cancelFollowRequest,
+  acceptFollowRequest,
+  acceptAllFollowRequests,
+  setFollowCountsActive,
+  removeAllFollows,
+  recountFollows,
+};
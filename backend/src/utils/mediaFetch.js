@@ -0,0 +1,122 @@
+const dns = require("dns");
+const net = require("net");
+const https = require("https");
+
+// Media URLs on users' content are whatever the client sent, so the server
+// only downloads from the host uploads go to, and never from an address
+// inside the network it runs in.
+const MEDIA_HOSTS = ["res.cloudinary.com"];
+const MAX_REDIRECTS = 3;
+
+const privateRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, "ipv6"));
+
+// Loopback, private, link-local and other non-public addresses
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 6) {
+    // IPv4-mapped (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return privateRanges.check(mapped[1], "ipv4");
+    return privateRanges.check(address, "ipv6");
+  }
+  return privateRanges.check(address, "ipv4");
+};
+
+// Whether `url` points at our own media storage (and, once the Cloudinary
+// account is configured, at that account)
+const isMediaUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol !== "https:" || parsed.username || parsed.password) return false;
+  if (parsed.port && parsed.port !== "443") return false;
+  if (!MEDIA_HOSTS.includes(parsed.hostname.toLowerCase())) return false;
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  return !cloudName || parsed.pathname.startsWith(`/${cloudName}/`);
+};
+
+// DNS lookup that refuses private addresses, used for the connection itself so
+// a hostname can't resolve to a public address for a check and a private one
+// for the request
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(new Error("Refusing to fetch from a private address"));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const request = (url, { timeoutMs, maxBytes }) =>
+  new Promise((resolve, reject) => {
+    const req = https.get(url, { lookup: publicOnlyLookup, timeout: timeoutMs }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return resolve({ redirect: new URL(res.headers.location, url).toString() });
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${res.statusCode}`));
+      }
+      if (Number(res.headers["content-length"] || 0) > maxBytes) {
+        res.destroy();
+        return reject(new Error("File too large"));
+      }
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          res.destroy();
+          reject(new Error("File too large"));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => resolve({ body: Buffer.concat(chunks) }));
+      res.on("error", reject);
+    });
+    req.on("timeout", () => req.destroy(new Error("Timed out")));
+    req.on("error", reject);
+  });
+
+// Downloads a media file from our storage. Every redirect hop has to pass the
+// same checks as the original URL.
+const downloadMedia = async (url, { timeoutMs, maxBytes }) => {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    if (!isMediaUrl(current)) throw new Error("Not a Mesh media URL");
+    const result = await request(current, { timeoutMs, maxBytes });
+    if (result.body) return result.body;
+    current = result.redirect;
+  }
+  throw new Error("Too many redirects");
+};
+
+module.exports = { isPrivateAddress, isMediaUrl, downloadMedia };
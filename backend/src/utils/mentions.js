@@ -0,0 +1,17 @@
+const User = require("../models/User");
+const { activeUserFilter } = require("./accountStatus");
+const { extractMentions } = require("./text");
+
+// Ids of the active accounts mentioned with "@username" in `text`. Names that
+// don't match an account are plain text and are dropped.
+const resolveMentions = async (text) => {
+  const usernames = extractMentions(text);
+  if (!usernames.length) return [];
+  // Usernames are compared case-insensitively, as in the username availability check
+  return User.distinct("_id", { username: { $in: usernames }, ...activeUserFilter() }).collation({
+    locale: "en",
+    strength: 2,
+  });
+};
+
+module.exports = { resolveMentions };
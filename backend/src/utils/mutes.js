@@ -0,0 +1,49 @@
+const Mute = require("../models/Mute");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole words only, so muting "cat" leaves "category" alone. Muting "tag"
+// also hides "#tag", since "#" isn't a word character.
+const buildKeywordRegex = (keywords) =>
+  keywords.length
+    ? new RegExp(keywords.map((k) => `(?<!\\w)${escapeRegex(k)}(?!\\w)`).join("|"), "i")
+    : null;
+
+// The viewer's current mutes. `expiresAt` is checked here as well because the
+// TTL monitor only runs about once a minute.
+const getActiveMutes = async (userId) => {
+  if (!userId) return { userIds: [], userIdSet: new Set(), keywordRegex: null };
+  const mutes = await Mute.find({
+    user: userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).select("kind mutedUser keyword");
+
+  const userIds = mutes.filter((m) => m.kind === "user").map((m) => m.mutedUser);
+  const keywords = mutes.filter((m) => m.kind === "keyword").map((m) => m.keyword);
+  return {
+    userIds,
+    userIdSet: new Set(userIds.map(String)),
+    keywordRegex: buildKeywordRegex(keywords),
+  };
+};
+
+const isTextMuted = (text, mutes) =>
+  !!(mutes.keywordRegex && text && mutes.keywordRegex.test(text));
+
+// Drops comments by muted users or containing muted keywords (toObject() form)
+const withoutMutedComments = (post, mutes) => {
+  if (!Array.isArray(post.comments)) return post;
+  if (!mutes.userIdSet.size && !mutes.keywordRegex) return post;
+  post.comments = post.comments.filter(
+    (comment) =>
+      !mutes.userIdSet.has(String(comment.user?._id || comment.user)) &&
+      !isTextMuted(comment.text, mutes)
+  );
+  return post;
+};
+
+module.exports = {
+  getActiveMutes,
+  isTextMuted,
+  withoutMutedComments,
+};
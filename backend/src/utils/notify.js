@@ -0,0 +1,57 @@
+const Notification = require("../models/Notification");
+const Post = require("../models/Post");
+const { sendPushToUser } = require("./pushSender");
+const { isBlockedBetween } = require("./blocks");
+const { getActiveMutes, isTextMuted } = require("./mutes");
+
+// Whether the recipient muted the actor, or a keyword in the text or post
+const isMutedFor = async (recipientId, actorId, text, postId) => {
+  const mutes = await getActiveMutes(recipientId);
+  if (mutes.userIdSet.has(String(actorId))) return true;
+  if (!mutes.keywordRegex) return false;
+  if (isTextMuted(text, mutes)) return true;
+  if (!postId) return false;
+  const post = await Post.findById(postId).select("content");
+  return !!post && isTextMuted(post.content, mutes);
+};
+
+// Single path for user-to-user notifications: stores the notification, emits
+// it on the recipient's socket room and sends the Web Push. Nothing is sent to
+// yourself, between users who blocked each other, or when the recipient muted
+// the actor or a keyword involved. Returns the populated notification, or null
+// when it was suppressed.
+const notifyUser = async ({ io, recipientId, actor, type, post, text, push }) => {
+  if (String(recipientId) === String(actor._id)) return null;
+  if (await isBlockedBetween(recipientId, actor._id)) return null;
+  if (await isMutedFor(recipientId, actor._id, text, post)) return null;
+
+  const note = await Notification.create({
+    user: recipientId,
+    type,
+    from: actor._id,
+    post: post || undefined,
+    text,
+  });
+  const notification = await Notification.findById(note._id).populate(
+    "from",
+    "fullName avatar username"
+  );
+
+  try {
+    if (io) io.to(recipientId.toString()).emit("notification", notification);
+  } catch (e) {
+    console.warn(`Socket emit failed for ${type} notification:`, e?.message || e);
+  }
+  if (push) sendPushToUser(recipientId, push);
+
+  return notification;
+};
+
+// Web Push for a direct message. The message itself is always delivered, but
+// there is no push when the recipient muted the sender or a keyword in `text`.
+const pushMessage = async ({ recipientId, senderId, text, push }) => {
+  if (await isMutedFor(recipientId, senderId, text)) return;
+  sendPushToUser(recipientId, push);
+};
+
+module.exports = { notifyUser, pushMessage };
@@ -0,0 +1,292 @@
+const fetch = global.fetch || require("node-fetch");
+
+// Each provider declares its endpoints, scopes and how to map the provider's
+// profile onto ours. The OAuth controller drives them all the same way:
+//
+//   {
+//     id, label,
+//     getClient()           -> { clientId, clientSecret, redirectUri }
+//     getEndpoints()        -> { authorizationUrl, tokenUrl, ... } (may be async)
+//     scopes, authParams    -> extra query params for the authorization request
+//     usesNonce             -> send an OIDC `nonce` and check it in the ID token
+//     getProfile({ tokens, endpoints, client, nonce })
+//                           -> { providerId, email, name, avatar, usernameBase,
+//                                emailVerified }
+//   }
+//
+// `email` is only set when the provider verified it, except where a profile
+// says `emailVerified: false`: then it is a placeholder nobody receives mail at.
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+
+const defaultRedirectUri = (id) =>
+  `${process.env.BACKEND_URL}/api/auth/oauth/${id}/callback`;
+
+const decodeJwtPayload = (token) =>
+  JSON.parse(Buffer.from(String(token).split(".")[1], "base64url").toString());
+
+const fetchJson = async (url, options) => {
+  const resp = await fetch(url, options);
+  const json = await resp.json();
+  if (!resp.ok) {
+    const error = new Error(`Request to ${url} failed with status ${resp.status}`);
+    error.details = json;
+    throw error;
+  }
+  return json;
+};
+
+// Trades an authorization code for tokens at the provider's token endpoint.
+// Returns null if the provider refuses.
+const exchangeAuthorizationCode = async (provider, endpoints, client, code, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code: String(code),
+    client_id: client.clientId,
+    client_secret: client.clientSecret,
+    redirect_uri: client.redirectUri,
+    code_verifier: codeVerifier,
+  });
+
+  const tokenResp = await fetch(endpoints.tokenUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body,
+  });
+  const tokenJson = await tokenResp.json();
+  // GitHub reports errors with a 200 status and an `error` field
+  if (!tokenResp.ok || tokenJson.error) {
+    console.error(`${provider.label} token exchange failed:`, tokenJson);
+    return null;
+  }
+  return tokenJson;
+};
+
+// ===== Google =====
+const google = {
+  id: "google",
+  label: "Google",
+  getClient: () => ({
+    clientId: process.env.GOOGLE_CLIENT_ID || "",
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET || "",
+    redirectUri: process.env.GOOGLE_REDIRECT_URI || defaultRedirectUri("google"),
+  }),
+  getEndpoints: () => ({
+    authorizationUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: "https://oauth2.googleapis.com/token",
+  }),
+  scopes: ["openid", "email", "profile"],
+  authParams: { access_type: "offline", prompt: "consent" },
+  getProfile: async ({ tokens }) => {
+    if (!tokens.id_token) throw new Error("Missing id_token");
+    // Received directly from Google's token endpoint over TLS
+    const claims = decodeJwtPayload(tokens.id_token);
+    const name = claims.name || claims.given_name || "User";
+    return {
+      providerId: String(claims.sub),
+      // Only a verified address may be used to create an account
+      email: claims.email_verified === false ? null : claims.email,
+      name,
+      avatar: claims.picture || "",
+      usernameBase: (claims.given_name || name || "User").split(" ")[0],
+    };
+  },
+};
+
+// ===== GitHub =====
+const github = {
+  id: "github",
+  label: "GitHub",
+  getClient: () => ({
+    clientId: process.env.GITHUB_CLIENT_ID || "",
+    clientSecret: process.env.GITHUB_CLIENT_SECRET || "",
+    redirectUri: process.env.GITHUB_REDIRECT_URI || defaultRedirectUri("github"),
+  }),
+  getEndpoints: () => ({
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+  }),
+  scopes: ["read:user", "user:email"],
+  authParams: { allow_signup: "true" },
+  getProfile: async ({ tokens }) => {
+    const headers = { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" };
+    const ghUser = await fetchJson("https://api.github.com/user", { headers });
+
+    // Only a verified email may be used; prefer the primary one
+    let email = null;
+    try {
+      const emails = await fetchJson("https://api.github.com/user/emails", { headers });
+      if (Array.isArray(emails)) {
+        const verified = emails.filter((e) => e.verified);
+        const primary = verified.find((e) => e.primary) || verified[0];
+        email = primary && primary.email;
+      }
+    } catch (e) {
+      console.warn("GitHub emails fetch failed, proceeding without email");
+    }
+
+    const name = ghUser.name || ghUser.login || "GitHub User";
+    const loginName = ghUser.login || name.split(" ")[0];
+    return {
+      providerId: String(ghUser.id),
+      // Placeholder to satisfy model validation, never treated as verified. It
+      // can't match an existing account because accounts aren't merged by email.
+      email: email || `${loginName}@users.noreply.github.com`,
+      emailVerified: !!email,
+      name,
+      avatar: ghUser.avatar_url || "",
+      usernameBase: (name || loginName).split(" ")[0],
+    };
+  },
+};
+
+// ===== Generic OpenID Connect =====
+// Configured from a discovery document, e.g. a company SSO:
+//   OIDC_DISCOVERY_URL=https://sso.example.com/.well-known/openid-configuration
+const createOidcProvider = ({
+  id,
+  label,
+  discoveryUrl,
+  clientId,
+  clientSecret,
+  redirectUri,
+  scopes = ["openid", "email", "profile"],
+}) => {
+  let cached = null;
+  const trimSlash = (value) => String(value || "").replace(/\/$/, "");
+
+  const getEndpoints = async () => {
+    if (cached && cached.expiresAt > Date.now()) return cached.endpoints;
+    const isDocumentUrl = /\/\.well-known\//.test(discoveryUrl);
+    const url = isDocumentUrl
+      ? discoveryUrl
+      : `${trimSlash(discoveryUrl)}/.well-known/openid-configuration`;
+    const doc = await fetchJson(url, { headers: { Accept: "application/json" } });
+    if (!doc.authorization_endpoint || !doc.token_endpoint) {
+      throw new Error(`OIDC discovery document for "${id}" is missing endpoints`);
+    }
+    // The issuer must be the URL the document was discovered from (OIDC
+    // Discovery 4.3); otherwise every ID token check below is meaningless
+    const expectedIssuer = isDocumentUrl
+      ? discoveryUrl.slice(0, discoveryUrl.indexOf("/.well-known/"))
+      : discoveryUrl;
+    if (!doc.issuer || trimSlash(doc.issuer) !== trimSlash(expectedIssuer)) {
+      throw new Error(`OIDC discovery document for "${id}" has an unexpected issuer`);
+    }
+    const endpoints = {
+      issuer: doc.issuer,
+      authorizationUrl: doc.authorization_endpoint,
+      tokenUrl: doc.token_endpoint,
+      userinfoUrl: doc.userinfo_endpoint || null,
+    };
+    cached = { endpoints, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+    return endpoints;
+  };
+
+  return {
+    id,
+    label: label || id,
+    getClient: () => ({
+      clientId,
+      clientSecret,
+      redirectUri: redirectUri || defaultRedirectUri(id),
+    }),
+    getEndpoints,
+    scopes,
+    authParams: {},
+    usesNonce: true,
+    getProfile: async ({ tokens, endpoints, client, nonce }) => {
+      let claims = {};
+      if (tokens.id_token) {
+        // The ID token comes straight from the token endpoint, but still make
+        // sure it was issued by this provider, for us, and is current
+        claims = decodeJwtPayload(tokens.id_token);
+        const audiences = [].concat(claims.aud || []);
+        if (claims.iss !== endpoints.issuer) {
+          throw new Error("OIDC id_token issuer mismatch");
+        }
+        if (!audiences.includes(client.clientId)) {
+          throw new Error("OIDC id_token audience mismatch");
+        }
+        if (claims.exp && claims.exp * 1000 < Date.now()) {
+          throw new Error("OIDC id_token expired");
+        }
+        // Ties the token to the authorization request this browser started
+        if (nonce && claims.nonce !== nonce) {
+          throw new Error("OIDC id_token nonce mismatch");
+        }
+      }
+      if (endpoints.userinfoUrl && tokens.access_token) {
+        const info = await fetchJson(endpoints.userinfoUrl, {
+          headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" },
+        });
+        if (claims.sub && info.sub && String(info.sub) !== String(claims.sub)) {
+          throw new Error("OIDC userinfo subject mismatch");
+        }
+        claims = { ...info, ...claims };
+      }
+      if (!claims.sub) throw new Error("OIDC profile is missing a subject");
+
+      const name = claims.name || claims.given_name || claims.preferred_username || "User";
+      return {
+        providerId: String(claims.sub),
+        email: claims.email_verified === false ? null : claims.email || null,
+        name,
+        avatar: claims.picture || "",
+        usernameBase: claims.preferred_username || (claims.given_name || name).split(" ")[0],
+      };
+    },
+  };
+};
+
+// ===== Registry =====
+const registry = new Map();
+
+const registerProvider = (provider) => {
+  registry.set(provider.id, provider);
+  return provider;
+};
+
+const unregisterProvider = (id) => registry.delete(id);
+
+// Only providers with a client id configured are usable
+const getProvider = (id) => {
+  const provider = registry.get(id);
+  if (!provider || !provider.getClient().clientId) return null;
+  return provider;
+};
+
+const listProviders = () =>
+  Array.from(registry.values())
+    .filter((provider) => provider.getClient().clientId)
+    .map((provider) => ({ id: provider.id, label: provider.label }));
+
+registerProvider(google);
+registerProvider(github);
+
+if (process.env.OIDC_DISCOVERY_URL) {
+  const id = process.env.OIDC_PROVIDER_ID || "sso";
+  registerProvider(
+    createOidcProvider({
+      id,
+      label: process.env.OIDC_PROVIDER_LABEL || "SSO",
+      discoveryUrl: process.env.OIDC_DISCOVERY_URL,
+      clientId: process.env.OIDC_CLIENT_ID || "",
+      clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+      redirectUri: process.env.OIDC_REDIRECT_URI,
+      scopes: (process.env.OIDC_SCOPES || "openid email profile").split(/[\s,]+/).filter(Boolean),
+    })
+  );
+}
+
+module.exports = {
+  exchangeAuthorizationCode,
+  createOidcProvider,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+};
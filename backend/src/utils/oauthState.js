@@ -0,0 +1,98 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+
+const STATE_TTL_SECONDS = 10 * 60;
+const STATE_COOKIE = "mesh_oauth_nonce";
+
+const base64url = (buffer) =>
+  buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+// The PKCE verifier is derived from the nonce so nothing has to be stored server-side
+const deriveCodeVerifier = (nonce) =>
+  base64url(
+    crypto.createHmac("sha256", process.env.JWT_SECRET).update(`pkce:${nonce}`).digest()
+  );
+
+// Sent as the OIDC `nonce` and expected back in the ID token
+const deriveIdTokenNonce = (nonce) =>
+  base64url(
+    crypto.createHmac("sha256", process.env.JWT_SECRET).update(`oidc:${nonce}`).digest()
+  );
+
+const parseCookies = (req) =>
+  String(req.headers.cookie || "")
+    .split(";")
+    .reduce((acc, part) => {
+      const idx = part.indexOf("=");
+      if (idx === -1) return acc;
+      const name = part.slice(0, idx).trim();
+      acc[name] = decodeURIComponent(part.slice(idx + 1).trim());
+      return acc;
+    }, {});
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // Lax still sends the cookie on the provider's top-level redirect back to us.
+  // It is only ever set on top-level navigations to the API: a cross-site XHR
+  // response can't set a Lax cookie.
+  sameSite: "lax",
+  path: "/api/auth/oauth",
+});
+
+// Signed `state` plus PKCE parameters for an authorization request. The nonce is
+// also dropped in an httpOnly cookie so the callback must come back to the same browser.
+const createOAuthState = (res, { provider, mode = "login", userId = null }) => {
+  const nonce = base64url(crypto.randomBytes(24));
+  const state = jwt.sign(
+    { purpose: "oauth-state", provider, mode, userId: userId && String(userId), nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL_SECONDS }
+  );
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(deriveCodeVerifier(nonce)).digest()
+  );
+
+  res.cookie(STATE_COOKIE, nonce, {
+    ...cookieOptions(),
+    maxAge: STATE_TTL_SECONDS * 1000,
+  });
+
+  return {
+    state,
+    codeChallenge,
+    codeChallengeMethod: "S256",
+    idTokenNonce: deriveIdTokenNonce(nonce),
+  };
+};
+
+// Returns { mode, userId, codeVerifier, idTokenNonce } or null if the state is forged, stale,
+// for another provider, or was started in a different browser.
+const consumeOAuthState = (req, res, provider) => {
+  res.clearCookie(STATE_COOKIE, cookieOptions());
+  try {
+    const decoded = jwt.verify(String(req.query.state || ""), process.env.JWT_SECRET);
+    if (decoded.purpose !== "oauth-state" || decoded.provider !== provider) return null;
+
+    const cookieNonce = parseCookies(req)[STATE_COOKIE] || "";
+    const expected = Buffer.from(String(decoded.nonce));
+    const actual = Buffer.from(cookieNonce);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return {
+      mode: decoded.mode,
+      userId: decoded.userId,
+      codeVerifier: deriveCodeVerifier(decoded.nonce),
+      idTokenNonce: deriveIdTokenNonce(decoded.nonce),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createOAuthState,
+  consumeOAuthState,
+};
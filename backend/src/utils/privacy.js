@@ -0,0 +1,91 @@
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const { getBlockedUserIds, isBlockedBetween } = require("./blocks");
+const { isFollowing, getFollowingIds } = require("./followGraph");
+
+// Whether `viewerId` may see the posts, stories and follower lists of `owner`.
+// `owner` must have `isPrivate` loaded.
+const canViewUserContent = async (viewerId, owner) => {
+  if (!owner.isPrivate) return true;
+  if (!viewerId) return false;
+  if (String(owner._id) === String(viewerId)) return true;
+  return isFollowing(viewerId, owner._id);
+};
+
+// Same check when only the owner's id is at hand; also false across a block
+const canViewUserContentById = async (viewerId, ownerId) => {
+  const owner = await User.findById(ownerId).select("isPrivate");
+  if (!owner || !(await canViewUserContent(viewerId, owner))) return false;
+  return !(await isBlockedBetween(viewerId, ownerId));
+};
+
+// The authors among `candidateIds` whose content `viewerId` must not see:
+// deactivated accounts, blocks in either direction, and private accounts the
+// viewer doesn't follow. Only the candidates are looked up.
+const getHiddenAuthorIds = async (viewerId, candidateIds) => {
+  if (!candidateIds.length) return [];
+  const [restricted, blockedIds] = await Promise.all([
+    User.find({
+      _id: { $in: candidateIds },
+      $or: [{ deactivatedAt: { $ne: null } }, { isPrivate: true }],
+    }).select("isPrivate +deactivatedAt"),
+    getBlockedUserIds(viewerId),
+  ]);
+  const privateIds = restricted.filter((user) => !user.deactivatedAt).map((user) => user._id);
+  const followedPrivate = new Set(
+    (viewerId && privateIds.length
+      ? await Follow.distinct("following", { follower: viewerId, following: { $in: privateIds } })
+      : []
+    ).map(String)
+  );
+  const hidden = restricted.filter(
+    (user) =>
+      user.deactivatedAt ||
+      (String(user._id) !== String(viewerId) && !followedPrivate.has(String(user._id)))
+  );
+  return [...hidden.map((user) => user._id), ...blockedIds];
+};
+
+// Aggregation stages that keep only documents whose author (in `field`)
+// `viewerId` may see, by the same rules. For listings whose authors aren't
+// known upfront: each document is joined to its author as it is read, so
+// nothing ever loads every hidden account.
+const visibleAuthorStages = async (viewerId, field = "user") => {
+  const [blockedIds, followingIds] = await Promise.all([
+    getBlockedUserIds(viewerId),
+    viewerId ? getFollowingIds(viewerId) : [],
+  ]);
+  const seesPrivate = viewerId ? [viewerId, ...followingIds] : [];
+  return [
+    { $match: { [field]: { $nin: blockedIds } } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { author: `$${field}` },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$author"] } } },
+          { $project: { deactivatedAt: 1, isPrivate: 1 } },
+        ],
+        as: "visibleAuthor",
+      },
+    },
+    { $unwind: "$visibleAuthor" },
+    {
+      $match: {
+        "visibleAuthor.deactivatedAt": null,
+        $or: [
+          { "visibleAuthor.isPrivate": { $ne: true } },
+          { "visibleAuthor._id": { $in: seesPrivate } },
+        ],
+      },
+    },
+    { $project: { visibleAuthor: 0 } },
+  ];
+};
+
+module.exports = {
+  canViewUserContent,
+  canViewUserContentById,
+  getHiddenAuthorIds,
+  visibleAuthorStages,
+};
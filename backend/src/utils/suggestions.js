@@ -0,0 +1,278 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Follow = require("../models/Follow");
+const FollowRequest = require("../models/FollowRequest");
+const SuggestionDismissal = require("../models/SuggestionDismissal");
+const { activeUserFilter } = require("./accountStatus");
+const { getBlockedUserIds } = require("./blocks");
+const { getActiveMutes } = require("./mutes");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Posts older than this don't count as shared interests or interactions
+const SIGNAL_WINDOW_MS = 90 * DAY_MS;
+// Only this many of the most recent follows seed friends-of-friends
+const MAX_SEED_FOLLOWS = 500;
+// Upper bound on candidates taken from each signal
+const CANDIDATE_POOL = 200;
+
+// Points per unit of each signal, and the most a single signal can add
+const WEIGHTS = {
+  mutual: { per: 3, max: 30 },
+  interaction: { per: 2, max: 10 },
+  hashtag: { per: 1.5, max: 6 },
+  workplace: { per: 3, max: 3 },
+  education: { per: 2, max: 2 },
+  currentCity: { per: 2, max: 2 },
+};
+const PROFILE_FIELDS = ["workplace", "education", "currentCity"];
+// Multipliers for recently active accounts
+const RECENCY_BOOSTS = [
+  { withinMs: 7 * DAY_MS, factor: 1.25 },
+  { withinMs: 30 * DAY_MS, factor: 1.1 },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const describe = (signal, candidate, viaNames) => {
+  switch (signal) {
+    case "mutual": {
+      const others = candidate.mutualCount - 1;
+      if (!viaNames.length) return `Followed by ${candidate.mutualCount} people you follow`;
+      return others > 0
+        ? `Followed by ${viaNames[0]} and ${others} other${others === 1 ? "" : "s"}`
+        : `Followed by ${viaNames[0]}`;
+    }
+    case "interaction":
+      return "You've interacted with their posts";
+    case "hashtag":
+      return `Also posts about #${candidate.sharedTags[0]}`;
+    case "workplace":
+      return `Also works at ${candidate.user.workplace}`;
+    case "education":
+      return `Also studied at ${candidate.user.education}`;
+    case "currentCity":
+      return `Also lives in ${candidate.user.currentCity}`;
+    default:
+      return "Suggested for you";
+  }
+};
+
+// People `userId` may want to follow, best first. Candidates come from second-
+// degree connections, authors of posts they liked or commented on, authors
+// sharing their hashtags, and people with the same workplace, school or city;
+// recently active accounts get a boost. Accounts already followed, requested,
+// blocked, muted or dismissed are never suggested. Each result carries a
+// human-readable `reason` for its strongest signal.
+const getRankedSuggestions = async (userId, { limit = 5, now = new Date() } = {}) => {
+  const me = await User.findById(userId).select(PROFILE_FIELDS.join(" "));
+  if (!me) return null;
+  const since = new Date(now.getTime() - SIGNAL_WINDOW_MS);
+
+  const [seedFollows, followingIds, blockedIds, mutes, dismissedIds, requestedIds] =
+    await Promise.all([
+      Follow.find({ follower: me._id })
+        .sort({ createdAt: -1 })
+        .limit(MAX_SEED_FOLLOWS)
+        .select("following"),
+      Follow.distinct("following", { follower: me._id }),
+      getBlockedUserIds(me._id),
+      getActiveMutes(me._id),
+      SuggestionDismissal.distinct("dismissed", { user: me._id }),
+      FollowRequest.distinct("to", { from: me._id }),
+    ]);
+  const excludeIds = [
+    me._id,
+    ...followingIds,
+    ...blockedIds,
+    ...mutes.userIds,
+    ...dismissedIds,
+    ...requestedIds,
+  ];
+
+  const candidates = new Map();
+  const candidateFor = (id) => {
+    const key = String(id);
+    if (!candidates.has(key)) {
+      candidates.set(key, {
+        mutualCount: 0,
+        via: [],
+        interactions: 0,
+        sharedTags: [],
+        profileMatches: [],
+      });
+    }
+    return candidates.get(key);
+  };
+
+  const myTags = await Post.distinct("hashtags", { user: me._id, createdAt: { $gte: since } });
+  const profileFields = PROFILE_FIELDS.filter((field) => String(me[field] || "").trim());
+
+  const [secondDegree, interacted, tagged, sameProfile] = await Promise.all([
+    seedFollows.length
+      ? Follow.aggregate([
+          {
+            $match: {
+              follower: { $in: seedFollows.map((follow) => follow.following) },
+              following: { $nin: excludeIds },
+            },
+          },
+          { $group: { _id: "$following", count: { $sum: 1 }, via: { $push: "$follower" } } },
+          { $sort: { count: -1 } },
+          { $limit: CANDIDATE_POOL },
+          { $project: { count: 1, via: { $slice: ["$via", 5] } } },
+        ])
+      : [],
+    Post.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since },
+          user: { $nin: excludeIds },
+          $or: [{ likes: me._id }, { "comments.user": me._id }],
+        },
+      },
+      { $group: { _id: "$user", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: CANDIDATE_POOL },
+    ]),
+    myTags.length
+      ? Post.aggregate([
+          {
+            $match: {
+              hashtags: { $in: myTags },
+              createdAt: { $gte: since },
+              user: { $nin: excludeIds },
+            },
+          },
+          { $unwind: "$hashtags" },
+          { $match: { hashtags: { $in: myTags } } },
+          { $group: { _id: "$user", tags: { $addToSet: "$hashtags" } } },
+          { $addFields: { shared: { $size: "$tags" } } },
+          { $sort: { shared: -1 } },
+          { $limit: CANDIDATE_POOL },
+        ])
+      : [],
+    profileFields.length
+      ? User.find({
+          _id: { $nin: excludeIds },
+          ...activeUserFilter(),
+          $or: profileFields.map((field) => ({
+            [field]: new RegExp(`^\\s*${escapeRegex(me[field].trim())}\\s*$`, "i"),
+          })),
+        })
+          .select(PROFILE_FIELDS.join(" "))
+          .limit(CANDIDATE_POOL)
+      : [],
+  ]);
+
+  secondDegree.forEach((row) => {
+    const candidate = candidateFor(row._id);
+    candidate.mutualCount = row.count;
+    candidate.via = row.via;
+  });
+  interacted.forEach((row) => {
+    candidateFor(row._id).interactions = row.count;
+  });
+  tagged.forEach((row) => {
+    candidateFor(row._id).sharedTags = row.tags.sort();
+  });
+  sameProfile.forEach((user) => {
+    candidateFor(user._id).profileMatches = profileFields.filter(
+      (field) =>
+        String(user[field] || "").trim().toLowerCase() === me[field].trim().toLowerCase()
+    );
+  });
+
+  const users = await User.find({
+    _id: { $in: [...candidates.keys()] },
+    ...activeUserFilter(),
+  }).select(`username fullName avatar verifiedBadge followerCount lastActive ${PROFILE_FIELDS.join(" ")}`);
+
+  const ranked = users.map((user) => {
+    const candidate = candidates.get(String(user._id));
+    candidate.user = user;
+
+    const signals = {
+      mutual: candidate.mutualCount,
+      interaction: candidate.interactions,
+      hashtag: candidate.sharedTags.length,
+    };
+    candidate.profileMatches.forEach((field) => {
+      signals[field] = 1;
+    });
+
+    let best = null;
+    let score = 0;
+    Object.entries(signals).forEach(([signal, amount]) => {
+      const points = Math.min(amount * WEIGHTS[signal].per, WEIGHTS[signal].max);
+      score += points;
+      if (points > 0 && (!best || points > best.points)) best = { signal, points };
+    });
+
+    const idleMs = now - (user.lastActive || 0);
+    const boost = RECENCY_BOOSTS.find((entry) => idleMs <= entry.withinMs);
+    candidate.score = score * (boost ? boost.factor : 1);
+    candidate.signal = best ? best.signal : null;
+    return candidate;
+  });
+
+  // Ties go to the more followed account, then to the id, so results are stable
+  ranked.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (b.user.followerCount || 0) - (a.user.followerCount || 0) ||
+      String(a.user._id).localeCompare(String(b.user._id))
+  );
+  const top = ranked.slice(0, limit);
+
+  // Names for "Followed by X", only from accounts that are still visible
+  const viaIds = top.flatMap((candidate) => candidate.via);
+  const viaUsers = viaIds.length
+    ? await User.find({ _id: { $in: viaIds }, ...activeUserFilter() }).select("username fullName")
+    : [];
+  const viaNames = new Map(viaUsers.map((user) => [String(user._id), user.fullName || user.username]));
+
+  const suggestions = top.map((candidate) => ({
+    _id: candidate.user._id,
+    username: candidate.user.username,
+    fullName: candidate.user.fullName,
+    avatar: candidate.user.avatar,
+    verifiedBadge: !!candidate.user.verifiedBadge,
+    followerCount: candidate.user.followerCount || 0,
+    mutualCount: candidate.mutualCount,
+    reason: describe(
+      candidate.signal,
+      candidate,
+      candidate.via.map((id) => viaNames.get(String(id))).filter(Boolean)
+    ),
+  }));
+
+  // New accounts have no signals yet; fill up with random active users
+  if (suggestions.length < limit) {
+    const fillers = await User.aggregate([
+      {
+        $match: {
+          _id: { $nin: [...excludeIds, ...suggestions.map((s) => s._id)] },
+          ...activeUserFilter(),
+        },
+      },
+      { $sample: { size: limit - suggestions.length } },
+      { $project: { username: 1, fullName: 1, avatar: 1, verifiedBadge: 1, followerCount: 1 } },
+    ]);
+    fillers.forEach((user) => {
+      suggestions.push({
+        _id: user._id,
+        username: user.username,
+        fullName: user.fullName,
+        avatar: user.avatar,
+        verifiedBadge: !!user.verifiedBadge,
+        followerCount: user.followerCount || 0,
+        mutualCount: 0,
+        reason: describe(null),
+      });
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = { getRankedSuggestions };
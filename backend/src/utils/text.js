@@ -0,0 +1,34 @@
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 30;
+
+// "#Travel" and "#travel" are the same tag. Letters, digits and underscores in
+// any script; "a#b" and "&#39;" are not tags.
+const HASHTAG_REGEX = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,50})/gu;
+
+// Unique hashtags in `text`, lowercased and without the "#", in order of appearance
+const extractHashtags = (text) => {
+  const tags = new Set();
+  for (const match of String(text || "").matchAll(HASHTAG_REGEX)) {
+    tags.add(match[1].toLowerCase());
+    if (tags.size >= MAX_HASHTAGS) break;
+  }
+  return [...tags];
+};
+
+// "@name" where name is a valid username; "me@example.com" is not a mention.
+// Trailing dots are punctuation ("thanks @ana.").
+const MENTION_REGEX = /(?<![\p{L}\p{N}_.@])@([a-z0-9._]{3,30})(?![a-z0-9_])/giu;
+
+// Unique mentioned usernames in `text`, lowercased and without the "@"
+const extractMentions = (text) => {
+  const names = new Set();
+  for (const match of String(text || "").matchAll(MENTION_REGEX)) {
+    const name = match[1].replace(/\.+$/, "").toLowerCase();
+    if (name.length < 3) continue;
+    names.add(name);
+    if (names.size >= MAX_MENTIONS) break;
+  }
+  return [...names];
+};
+
+module.exports = { extractHashtags, extractMentions };
@@ -0,0 +1,159 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDefaultScorer, rankPosts } = require("../src/utils/feedRanking");
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2026-01-02T00:00:00.000Z");
+
+const user = (id, username) => ({ _id: id, username });
+const post = (id, author, hoursAgo, { likes = 0, comments = 0 } = {}) => ({
+  _id: id,
+  user: author,
+  createdAt: new Date(now.getTime() - hoursAgo * HOUR_MS),
+  likes: Array.from({ length: likes }, (_, i) => `liker${i}`),
+  comments: Array.from({ length: comments }, (_, i) => ({ text: `comment ${i}` })),
+});
+
+const alice = user("u1", "alice");
+const bob = user("u2", "bob");
+const carol = user("u3", "carol");
+const dan = user("u4", "dan");
+
+const ids = (ranked) => ranked.map((entry) => entry.post._id);
+
+describe("createDefaultScorer", () => {
+  const scorer = createDefaultScorer();
+  const score = (candidate) => scorer.score(candidate, { now });
+
+  it("scores a fresh post with no signals at 1", () => {
+    assert.deepEqual(score({ post: post("p1", alice, 0) }), { score: 1, reason: "Recent post" });
+  });
+
+  it("halves the score every 24 hours", () => {
+    assert.equal(score({ post: post("p1", alice, 24) }).score, 0.5);
+    assert.equal(score({ post: post("p1", alice, 48) }).score, 0.25);
+  });
+
+  it("explains the strongest signal", () => {
+    assert.equal(
+      score({ post: post("p1", bob, 24), isFollowing: true }).reason,
+      "New from @bob, who you follow"
+    );
+    assert.equal(
+      score({ post: post("p1", carol, 2, { likes: 6, comments: 1 }) }).reason,
+      "Popular right now: 6 likes and 1 comment"
+    );
+    assert.equal(
+      score({ post: post("p1", carol, 2, { likes: 1 }) }).reason,
+      "Popular right now: 1 like and 0 comments"
+    );
+    assert.equal(
+      score({ post: post("p1", dan, 48), affinity: { likes: 3, comments: 2, messages: 2 } }).reason,
+      "You often interact with @dan"
+    );
+    assert.equal(
+      score({ post: post("p1", "u5", 1), affinity: { likes: 1 } }).reason,
+      "You often interact with this author"
+    );
+  });
+
+  it("takes weight overrides", () => {
+    const generous = createDefaultScorer({ followingBonus: 2 });
+    assert.equal(generous.score({ post: post("p1", bob, 24), isFollowing: true }, { now }).score, 1.5);
+  });
+});
+
+describe("rankPosts", () => {
+  it("orders candidates by score and keeps each reason", () => {
+    const candidates = [
+      { post: post("a", alice, 0) },
+      { post: post("b", bob, 24), isFollowing: true },
+      { post: post("c", carol, 2, { likes: 6, comments: 1 }) },
+      { post: post("d", dan, 48), affinity: { likes: 3, comments: 2, messages: 2 } },
+    ];
+
+    const ranked = rankPosts(candidates, { scorer: createDefaultScorer(), now });
+
+    assert.deepEqual(ids(ranked), ["c", "a", "d", "b"]);
+    assert.deepEqual(
+      ranked.map((entry) => entry.reason),
+      [
+        "Popular right now: 6 likes and 1 comment",
+        "Recent post",
+        "You often interact with @dan",
+        "New from @bob, who you follow",
+      ]
+    );
+    // velocity (6 + 2 * 1) / (2 + 2) = 2, two hours of decay
+    assert.equal(ranked[0].score, Math.pow(0.5, 2 / 24) * (1 + 0.6 * Math.log(3)));
+    // 3 likes + 2 * 2 comments + 0.5 * 2 messages = 8 interactions
+    assert.equal(ranked[2].score, 0.25 * (1 + Math.log(9)));
+    assert.equal(ranked[3].score, 0.75);
+  });
+
+  it("discounts each further post by the same author", () => {
+    const candidates = [
+      { post: post("a1", alice, 0) },
+      { post: post("a2", alice, 1) },
+      { post: post("a3", alice, 2) },
+      { post: post("b1", bob, 12) },
+    ];
+    const scorer = createDefaultScorer();
+
+    const ranked = rankPosts(candidates, { scorer, now });
+
+    // a2 drops to 0.7 of its score after a1, below b1; a3 to 0.49 after both
+    assert.deepEqual(ids(ranked), ["a1", "b1", "a2", "a3"]);
+    assert.equal(ranked[1].score, Math.SQRT1_2);
+    assert.equal(ranked[2].score, Math.pow(0.5, 1 / 24) * 0.7);
+    assert.equal(ranked[3].score, Math.pow(0.5, 2 / 24) * 0.7 * 0.7);
+
+    assert.deepEqual(ids(rankPosts(candidates, { scorer, now, diversityDecay: 1 })), [
+      "a1",
+      "a2",
+      "a3",
+      "b1",
+    ]);
+  });
+
+  it("counts authors given as bare ids the same as populated ones", () => {
+    const ranked = rankPosts(
+      [{ post: post("a1", alice, 0) }, { post: post("a2", "u1", 1) }, { post: post("b1", bob, 12) }],
+      { scorer: createDefaultScorer(), now }
+    );
+    assert.deepEqual(ids(ranked), ["a1", "b1", "a2"]);
+  });
+
+  it("breaks ties by the newer post, then the higher id", () => {
+    const flat = { id: "flat", score: () => ({ score: 1, reason: "Flat" }) };
+    const candidates = [
+      { post: post("65a000000000000000000001", alice, 3) },
+      { post: post("65a000000000000000000002", bob, 1) },
+      { post: post("65a000000000000000000003", carol, 1) },
+      { post: post("65a000000000000000000004", dan, 2) },
+    ];
+
+    const ranked = rankPosts(candidates, { scorer: flat, now });
+
+    assert.deepEqual(ids(ranked), [
+      "65a000000000000000000003",
+      "65a000000000000000000002",
+      "65a000000000000000000004",
+      "65a000000000000000000001",
+    ]);
+    assert.deepEqual(ids(rankPosts([...candidates].reverse(), { scorer: flat, now })), ids(ranked));
+  });
+
+  it("gives the same result for the same candidates and time", () => {
+    const candidates = () => [
+      { post: post("a", alice, 5, { likes: 2 }) },
+      { post: post("b", bob, 5, { likes: 2 }) },
+      { post: post("c", alice, 30), isFollowing: true },
+    ];
+    const scorer = createDefaultScorer();
+    assert.deepEqual(
+      rankPosts(candidates(), { scorer, now }),
+      rankPosts(candidates(), { scorer, now })
+    );
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const {
+  createOidcProvider,
+  exchangeAuthorizationCode,
+} = require("../src/utils/oauthProviders");
+
+const CLIENT = { clientId: "mesh-client", clientSecret: "mesh-secret" };
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+// The provider reads ID tokens from the token endpoint over TLS and does not
+// check signatures, so an unsigned token is enough here
+const idToken = (claims) => `${base64url({ alg: "none" })}.${base64url(claims)}.`;
+
+// A minimal OpenID provider: discovery, token and userinfo endpoints
+const createMockIssuer = () => {
+  const mock = {
+    requests: [],
+    discovery: null,
+    tokenResponse: null,
+    userinfo: null,
+  };
+
+  mock.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      mock.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const send = (status, json) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+
+      if (req.url === "/.well-known/openid-configuration") return send(200, mock.discovery);
+      if (req.url === "/token" && req.method === "POST") {
+        const form = new URLSearchParams(body);
+        if (form.get("code") !== "good-code") return send(400, { error: "invalid_grant" });
+        return send(200, mock.tokenResponse);
+      }
+      if (req.url === "/userinfo") {
+        if (req.headers.authorization !== "Bearer access-1") return send(401, { error: "invalid_token" });
+        return send(200, mock.userinfo);
+      }
+      return send(404, { error: "not_found" });
+    });
+  });
+
+  mock.start = () =>
+    new Promise((resolve) => {
+      mock.server.listen(0, "127.0.0.1", () => {
+        mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+        resolve();
+      });
+    });
+  mock.stop = () => new Promise((resolve) => mock.server.close(resolve));
+  mock.reset = () => {
+    mock.requests = [];
+    mock.discovery = {
+      issuer: mock.url,
+      authorization_endpoint: `${mock.url}/authorize`,
+      token_endpoint: `${mock.url}/token`,
+      userinfo_endpoint: `${mock.url}/userinfo`,
+    };
+    mock.tokenResponse = { access_token: "access-1", token_type: "Bearer" };
+    mock.userinfo = { sub: "user-1", email: "ada@example.com", email_verified: true };
+  };
+  return mock;
+};
+
+const createProvider = (mock, overrides = {}) =>
+  createOidcProvider({
+    id: "sso",
+    label: "SSO",
+    discoveryUrl: mock.url,
+    redirectUri: "http://localhost:5000/api/auth/oauth/sso/callback",
+    ...CLIENT,
+    ...overrides,
+  });
+
+describe("generic OIDC provider", () => {
+  const mock = createMockIssuer();
+
+  before(() => mock.start());
+  after(() => mock.stop());
+  beforeEach(() => mock.reset());
+
+  describe("discovery", () => {
+    it("reads the endpoints from the issuer's discovery document", async () => {
+      const endpoints = await createProvider(mock).getEndpoints();
+      assert.deepEqual(endpoints, {
+        issuer: mock.url,
+        authorizationUrl: `${mock.url}/authorize`,
+        tokenUrl: `${mock.url}/token`,
+        userinfoUrl: `${mock.url}/userinfo`,
+      });
+      assert.equal(mock.requests[0].url, "/.well-known/openid-configuration");
+    });
+
+    it("accepts the document URL itself and caches the result", async () => {
+      const provider = createProvider(mock, {
+        discoveryUrl: `${mock.url}/.well-known/openid-configuration`,
+      });
+      await provider.getEndpoints();
+      await provider.getEndpoints();
+      assert.equal(mock.requests.length, 1);
+    });
+
+    it("rejects a document without the required endpoints", async () => {
+      delete mock.discovery.token_endpoint;
+      await assert.rejects(createProvider(mock).getEndpoints(), /missing endpoints/);
+    });
+  });
+
+  describe("misconfigured issuer", () => {
+    it("rejects a document whose issuer is not the discovery URL", async () => {
+      mock.discovery.issuer = "https://sso.example.com";
+      await assert.rejects(createProvider(mock).getEndpoints(), /unexpected issuer/);
+    });
+
+    it("rejects a document without an issuer", async () => {
+      delete mock.discovery.issuer;
+      await assert.rejects(createProvider(mock).getEndpoints(), /unexpected issuer/);
+    });
+
+    it("tolerates a trailing slash on either side", async () => {
+      mock.discovery.issuer = `${mock.url}/`;
+      const endpoints = await createProvider(mock).getEndpoints();
+      assert.equal(endpoints.issuer, `${mock.url}/`);
+    });
+  });
+
+  describe("token exchange", () => {
+    it("posts the code, client credentials and PKCE verifier", async () => {
+      const provider = createProvider(mock);
+      const endpoints = await provider.getEndpoints();
+      const tokens = await exchangeAuthorizationCode(
+        provider,
+        endpoints,
+        provider.getClient(),
+        "good-code",
+        "verifier-1"
+      );
+      assert.deepEqual(tokens, mock.tokenResponse);
+
+      const request = mock.requests.find((r) => r.url === "/token");
+      assert.equal(request.headers["content-type"], "application/x-www-form-urlencoded");
+      const form = Object.fromEntries(new URLSearchParams(request.body));
+      assert.deepEqual(form, {
+        grant_type: "authorization_code",
+        code: "good-code",
+        client_id: CLIENT.clientId,
+        client_secret: CLIENT.clientSecret,
+        redirect_uri: "http://localhost:5000/api/auth/oauth/sso/callback",
+        code_verifier: "verifier-1",
+      });
+    });
+
+    it("returns null when the provider refuses the code", async (t) => {
+      t.mock.method(console, "error", () => {});
+      const provider = createProvider(mock);
+      const endpoints = await provider.getEndpoints();
+      const tokens = await exchangeAuthorizationCode(
+        provider,
+        endpoints,
+        provider.getClient(),
+        "bad-code",
+        "verifier-1"
+      );
+      assert.equal(tokens, null);
+    });
+  });
+
+  describe("ID token and nonce checks", () => {
+    const claims = (mockUrl, overrides = {}) => ({
+      iss: mockUrl,
+      aud: CLIENT.clientId,
+      sub: "user-1",
+      exp: Math.floor(Date.now() / 1000) + 300,
+      nonce: "nonce-1",
+      name: "Ada Lovelace",
+      preferred_username: "ada",
+      ...overrides,
+    });
+
+    const getProfile = async (tokenClaims, { nonce = "nonce-1", tokens = {} } = {}) => {
+      const provider = createProvider(mock);
+      const endpoints = await provider.getEndpoints();
+      return provider.getProfile({
+        tokens: { ...mock.tokenResponse, id_token: idToken(tokenClaims), ...tokens },
+        endpoints,
+        client: provider.getClient(),
+        nonce,
+      });
+    };
+
+    it("maps a valid ID token plus userinfo onto a profile", async () => {
+      const profile = await getProfile(claims(mock.url));
+      assert.deepEqual(profile, {
+        providerId: "user-1",
+        email: "ada@example.com",
+        name: "Ada Lovelace",
+        avatar: "",
+        usernameBase: "ada",
+      });
+    });
+
+    it("sends a nonce with the authorization request", () => {
+      assert.equal(createProvider(mock).usesNonce, true);
+    });
+
+    it("rejects an ID token with the wrong nonce", async () => {
+      await assert.rejects(getProfile(claims(mock.url, { nonce: "other" })), /nonce mismatch/);
+    });
+
+    it("rejects an ID token without a nonce", async () => {
+      await assert.rejects(getProfile(claims(mock.url, { nonce: undefined })), /nonce mismatch/);
+    });
+
+    it("rejects an ID token from another issuer", async () => {
+      await assert.rejects(
+        getProfile(claims(mock.url, { iss: "https://evil.example.com" })),
+        /issuer mismatch/
+      );
+    });
+
+    it("rejects an ID token for another client", async () => {
+      await assert.rejects(
+        getProfile(claims(mock.url, { aud: ["someone-else"] })),
+        /audience mismatch/
+      );
+    });
+
+    it("rejects an expired ID token", async () => {
+      await assert.rejects(
+        getProfile(claims(mock.url, { exp: Math.floor(Date.now() / 1000) - 60 })),
+        /expired/
+      );
+    });
+
+    it("rejects userinfo for a different subject", async () => {
+      mock.userinfo.sub = "user-2";
+      await assert.rejects(getProfile(claims(mock.url)), /subject mismatch/);
+    });
+
+    it("drops an email the provider has not verified", async () => {
+      mock.userinfo.email_verified = false;
+      const profile = await getProfile(claims(mock.url));
+      assert.equal(profile.email, null);
+    });
+  });
+});